@@ -1,23 +1,73 @@
 /**
  * Events drag and drop module.
+ * The mouse uses the native HTML5 drag & drop, which doesn't fire on touch devices: there, a long press
+ * on an event starts a drag driven by the pointer events, which dispatches the same `dragenter`,
+ * `dragover`, `dragleave` and `drop` events to the element under the finger. So the cells, the timeline
+ * rows and the header buttons handle both the same way.
+ * Holding Ctrl or Alt on drop duplicates the event instead of moving it, and holding Shift keeps the event
+ * on the same day or at the same time, according to the main direction of the drag.
+ * The events dragged from outside of any Vue Cal, and the events dragged out to other drop zones, carry
+ * a typed payload (see utils/external-drag.js), and the `beforeExternalDrop` option can reject or transform
+ * the external ones on drop.
  *
  * Note: Waiting for VS Code to support JavaScript private fields.
  * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
  * Meantime keep `_` for private.
  */
 
+import { eventMimeType, currentDrag, isValidPayload, hasEventPayload, getDropPayload } from '../utils/external-drag'
+
 const holdOverTimeout = 800 // How long we should hold over an element before it reacts.
+const defaultEventDuration = 2 // In hours, like in the event utils.
+const longPressDelay = 500 // How long to press an event on a touch screen before it can be dragged.
+const longPressTolerance = 10 // In pixels, how far the finger can move during the long press (or it's a scroll).
+const autoScrollEdge = 40 // In pixels, the area along the edges of the scrollable body that scrolls it.
+const autoScrollSpeed = 15 // In pixels per frame, at the very edge.
 let changeViewTimeout = null
 let pressPrevOrNextInterval = null
 let viewBeforeDrag = { id: null, date: null } // To go back if cancelling.
 let viewChanged = false
 let cancelViewChange = true
 let dragOverCell = { el: null, cell: null, timeout: null }
+// The last conflict check on drag over, not to repeat it on each dragover event at the same position.
+let dragOverCheck = { key: null, notAllowed: false }
 const dragging = {
   _eid: null,
   fromVueCal: null,
-  toVueCal: null
+  toVueCal: null,
+  // The dragged event and the cursor position in it, as the dataTransfer can't be read on drag over.
+  event: null,
+  grabAt: 0,
+  grabAtX: 0,
+  // The cursor position on drag start, to know the main direction of the drag.
+  startX: 0,
+  startY: 0,
+  // The event was duplicated into another Vue Cal: don't remove it from the first one.
+  duplicated: false,
+  // The data of the pointer drags, which have no dataTransfer.
+  transferData: {}
+}
+// The pointer drag on touch devices: the long press, then the drag with its ghost following the finger.
+const initialPointerDrag = {
+  pointerId: null,
+  event: null,
+  el: null,
+  started: false,
+  startX: 0,
+  startY: 0,
+  x: 0,
+  y: 0,
+  // The modifier keys, if a keyboard is plugged.
+  modifiers: { ctrlKey: false, altKey: false, shiftKey: false },
+  ghost: null,
+  // The element under the finger and whether it accepts the drop (its dragover was prevented).
+  target: null,
+  dropAllowed: false,
+  longPressTimeout: null,
+  frame: null
 }
+let pointerDrag = { ...initialPointerDrag }
+const preventDefault = e => e.preventDefault()
 
 export const DragAndDrop = class {
   _vuecal
@@ -26,17 +76,183 @@ export const DragAndDrop = class {
     this._vuecal = vuecal
   }
 
+  /**
+   * Read the data of the dragged event from the HTML5 dataTransfer, or from the pointer drag.
+   *
+   * @param {Object} e The associated DOM event.
+   * @param {String} key The data to read: `event`, `cursor-grab-at` or `cursor-grab-at-x`.
+   * @return {String} The data, or an empty string.
+   */
+  _getTransferData (e, key) {
+    return (e.dataTransfer && e.dataTransfer.getData(key)) || (dragging.transferData[key] || '').toString()
+  }
+
+  /**
+   * Read the dropped event: the `event` data of the Vue Cal events and of the former external drags,
+   * or the typed payload of the external drags.
+   *
+   * @param {Object} e The associated DOM event.
+   * @return {Object|null} The dropped event or payload, or null if not dropping an event.
+   */
+  _getDropPayload (e) {
+    const data = this._getTransferData(e, 'event')
+    if (!data) return getDropPayload(e)
+
+    try {
+      return JSON.parse(data)
+    }
+    catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * The payload of an event dragged out of this Vue Cal, for your own drop zones (see utils/external-drag.js):
+   * the event as emitted, with its duration in minutes.
+   *
+   * @param {Object} event The event being dragged.
+   * @return {String} The payload in JSON.
+   */
+  _getDragOutPayload (event) {
+    return JSON.stringify({ ...this._vuecal.cleanupEvent(event), duration: Math.round((event.end - event.start) / 60000) })
+  }
+
+  /**
+   * Validate the payload of an event dragged from outside of any Vue Cal, and let the `beforeExternalDrop`
+   * option reject it (returning false) or transform it (returning a new payload).
+   *
+   * @param {Object} e The associated DOM event.
+   * @param {Object} payload The dropped payload.
+   * @param {Date} cellDate The hovered cell starting date.
+   * @param {Number|String} split The optional split being dropped into, if any.
+   * @param {Number|String} resource The optional resource being dropped into, on the timeline view.
+   * @return {Object|null} The payload to create the event from, or null if rejected.
+   */
+  _beforeExternalDrop (e, payload, cellDate, split, resource) {
+    if (!isValidPayload(payload)) return null
+
+    const { beforeExternalDrop, utils, view } = this._vuecal
+    if (typeof beforeExternalDrop !== 'function') return payload
+
+    const { start, end } = this._getDroppedEvent(e, payload, cellDate, split, resource)
+    const { fromDate } = utils.dateAdapter
+    const result = beforeExternalDrop(payload, {
+      start: fromDate(start),
+      end: fromDate(end),
+      split: split === undefined ? null : split,
+      resource,
+      view: view.id
+    })
+
+    if (result === false) return null
+    if (result && typeof result === 'object') return isValidPayload(result) ? result : null
+    return payload
+  }
+
   /**
    * When click and drag an event the cursor can be anywhere in the event,
    * when dropping the event, we need to subtract the cursor position in the event.
    *
    * @param {Object} e The associated DOM event.
+   * @param {Date} cellDate The hovered cell starting date.
+   * @return {Number} the minutes from the midnight of the cell day.
    */
-  _getEventStart (e) {
-    const { timeStep, timeCellHeight, timeFrom, utils } = this._vuecal
+  _getEventStart (e, cellDate) {
+    const { timeStep, timeCellHeight, timelineFrom, utils, view } = this._vuecal
+    if (view.id === 'timeline') return this._getTimelineEventStart(e).minutes
+
     let { y } = utils.cell.getPosition(e)
-    y -= e.dataTransfer.getData('cursor-grab-at') * 1
-    return Math.round(y * timeStep / parseInt(timeCellHeight) + timeFrom)
+    y -= (this._getTransferData(e, 'cursor-grab-at') || (dragging.event ? dragging.grabAt : currentDrag.grabAt)) * 1
+    // From the position in the time column, which can have a repeated hour.
+    return this._vuecal.timelineToDayMinutes(Math.round(y * timeStep / parseInt(timeCellHeight) + timelineFrom), cellDate)
+  }
+
+  /**
+   * On the timeline view, the time runs from left to right (right to left in RTL) through the day cells of the resource row.
+   * Get the day cell and the time at which the dragged event starts, from the cursor position
+   * minus the cursor position in the event.
+   *
+   * @param {Object} e The associated DOM event.
+   * @return {Object} containing { cellDate: {Date}, minutes: {Number} }.
+   */
+  _getTimelineEventStart (e) {
+    const { timeFrom, timeTo, viewCells, isRtl } = this._vuecal
+    const { left, right, width } = e.currentTarget.getBoundingClientRect()
+    const grabAtX = (this._getTransferData(e, 'cursor-grab-at-x') || dragging.grabAtX) * 1
+    const x = (isRtl ? right - e.clientX : e.clientX - left) - grabAtX
+    // Position in days from the row start, e.g. 2.5 = in the middle of the third day cell.
+    const position = Math.min(Math.max(x * viewCells.length / width, 0), viewCells.length - 0.001)
+
+    return {
+      cellDate: viewCells[Math.floor(position)].startDate,
+      minutes: Math.round((position % 1) * (timeTo - timeFrom) + timeFrom)
+    }
+  }
+
+  /**
+   * Holding Ctrl or Alt duplicates an event of a Vue Cal instead of moving it.
+   *
+   * @param {Object} e The associated DOM event.
+   * @return {Boolean} true if duplicating.
+   */
+  _isDuplicating (e) {
+    return !!dragging.fromVueCal && (e.ctrlKey || e.altKey)
+  }
+
+  /**
+   * Holding Shift constrains the dragged event of a Vue Cal to the same day or to the same time.
+   * On the views with a time column, a horizontal drag keeps the same time and a vertical drag keeps
+   * the same day. On the other views, and on the timeline view where the time runs horizontally,
+   * the event keeps its time.
+   *
+   * @param {Object} e The associated DOM event.
+   * @param {Object} original The dragged event or its transfer data, before the drag.
+   * @return {String|null} `day`, `time` or null if not constrained.
+   */
+  _getConstraint (e, original) {
+    if (!e.shiftKey || !original || !original.start || !dragging.fromVueCal) return null
+    if (!this._vuecal.hasTimeColumn) return 'time'
+
+    const horizontal = Math.abs(e.clientX - dragging.startX) > Math.abs(e.clientY - dragging.startY)
+    return horizontal ? 'time' : 'day'
+  }
+
+  /**
+   * The start and end of the event at the cursor position.
+   *
+   * @param {Object} e The associated DOM event.
+   * @param {Number} eventDuration The event duration in minutes.
+   * @param {Date} cellDate The hovered cell starting date.
+   * @param {Object} original The dragged event or its transfer data, to keep its day or time with Shift.
+   * @return {Object} containing { start: {Date}, startTimeMinutes: {Number}, end: {Date}, endTimeMinutes: {Number} }.
+   */
+  _getEventStartEnd (e, eventDuration, cellDate, original = null) {
+    const constraint = this._getConstraint(e, original)
+    // The start of the transfer data is a JSON string.
+    if (constraint === 'day') cellDate = new Date(new Date(original.start).setHours(0, 0, 0, 0))
+
+    // Force the start of the event at previous midnight minimum.
+    let startTimeMinutes = constraint === 'time' ? original.startTimeMinutes : Math.max(this._getEventStart(e, cellDate), 0)
+
+    // On drop, snap to time every X minutes if the option is on.
+    if (this._vuecal.snapToTime && constraint !== 'time') {
+      const plusHalfSnapTime = (startTimeMinutes + this._vuecal.snapToTime / 2)
+      startTimeMinutes = plusHalfSnapTime - (plusHalfSnapTime % this._vuecal.snapToTime)
+    }
+
+    const { utils: { date: ud }, timezone } = this._vuecal
+    // Force the end of the event at next midnight maximum, 23 or 25 hours after the previous midnight
+    // on the daylight saving days.
+    const endTimeMinutes = Math.min(startTimeMinutes + eventDuration, ud.getDayLength(cellDate, timezone))
+    // The dates have the wall-clock time of these minutes from midnight.
+    const transition = ud.getDstTransition(cellDate, timezone)
+    const toDate = minutes => new Date(new Date(cellDate).setMinutes(ud.dayMinutesToWallClock(minutes, transition)))
+    return {
+      start: toDate(startTimeMinutes),
+      startTimeMinutes,
+      end: toDate(endTimeMinutes),
+      endTimeMinutes
+    }
   }
 
   /**
@@ -52,20 +268,32 @@ export const DragAndDrop = class {
     // before we modify the start and end.
     const eventDuration = transferData.duration * 1 || (event.endTimeMinutes - event.startTimeMinutes)
 
-    // Force the start of the event at previous midnight minimum.
-    let startTimeMinutes = Math.max(this._getEventStart(e), 0)
+    Object.assign(event, this._getEventStartEnd(e, eventDuration, cellDate, transferData))
+  }
 
-    // On drop, snap to time every X minutes if the option is on.
-    if (this._vuecal.snapToTime) {
-      const plusHalfSnapTime = (startTimeMinutes + this._vuecal.snapToTime / 2)
-      startTimeMinutes = plusHalfSnapTime - (plusHalfSnapTime % this._vuecal.snapToTime)
+  /**
+   * The dragged event as it would be once dropped at the cursor position, to check it against
+   * the `allowOverlap` and `eventConstraint` options before the drop.
+   *
+   * @param {Object} e The associated DOM event.
+   * @param {Object} draggedEvent The dragged event or its transfer data.
+   * @param {Date} cellDate The hovered cell starting date.
+   * @param {Number|String} split The optional split being hovered, if any.
+   * @param {Number|String} resource The optional resource being hovered, on the timeline view.
+   * @return {Object} The event with its new start, end, split and resource.
+   */
+  _getDroppedEvent (e, draggedEvent, cellDate, split, resource) {
+    const { duration, startTimeMinutes, endTimeMinutes } = draggedEvent
+    const eventDuration = duration * 1 || (endTimeMinutes - startTimeMinutes) || defaultEventDuration * 60
+
+    return {
+      ...draggedEvent,
+      // An event coming from elsewhere or duplicated is a new event in this Vue Cal.
+      _eid: dragging.fromVueCal === this._vuecal._uid && !this._isDuplicating(e) ? draggedEvent._eid : null,
+      ...this._getEventStartEnd(e, eventDuration, cellDate, draggedEvent),
+      ...((split || split === 0) && { split }),
+      ...((resource || resource === 0) && { resource })
     }
-
-    event.startTimeMinutes = startTimeMinutes
-    event.start = new Date(new Date(cellDate).setMinutes(startTimeMinutes))
-    // Force the end of the event at next midnight maximum.
-    event.endTimeMinutes = Math.min(startTimeMinutes + eventDuration, 24 * 60)
-    event.end = new Date(new Date(cellDate).setMinutes(event.endTimeMinutes))
   }
 
   /**
@@ -78,14 +306,38 @@ export const DragAndDrop = class {
   eventDragStart (e, event) {
     // Cancel the drag if event has draggable set to false and trying to drag a text selection.
     if (e.target.nodeType === 3) return e.preventDefault()
+    // The touch drags are handled with the pointer events (see eventPointerDown()).
+    if (pointerDrag.pointerId !== null) return e.preventDefault()
 
     e.dataTransfer.dropEffect = 'move'
+    // Ctrl or Alt + drag duplicates the event.
+    e.dataTransfer.effectAllowed = 'copyMove'
     // Transfer the event's data to the receiver (when successfully drag & dropping out of Vue Cal).
     // Notice: in Firefox the drag is prevented if there is no dataTransfer.setData().
     e.dataTransfer.setData('event', JSON.stringify(event))
+    // And to your own drop zones, with a well-defined MIME type.
+    e.dataTransfer.setData(eventMimeType, this._getDragOutPayload(event))
     // When click and drag an event the cursor can be anywhere in the event,
     // when later dropping the event, we need to subtract the cursor position in the event.
     e.dataTransfer.setData('cursor-grab-at', e.offsetY) // In pixels.
+    // In pixels from the event start, for the timeline view: the right edge of the event in RTL.
+    const grabAtX = this._vuecal.isRtl ? e.currentTarget.offsetWidth - e.offsetX : e.offsetX
+    e.dataTransfer.setData('cursor-grab-at-x', grabAtX)
+    this._startDragging(event, e.offsetY, grabAtX, e.clientX, e.clientY)
+  }
+
+  /**
+   * Set the dragging state, from the HTML5 drag start or from the pointer drag start.
+   *
+   * @param {Object} event The event being dragged.
+   * @param {Number} grabAt The cursor position from the top of the event, in pixels.
+   * @param {Number} grabAtX The cursor position from the start of the event, in pixels.
+   * @param {Number} startX The cursor position in the viewport on drag start, in pixels.
+   * @param {Number} startY The cursor position in the viewport on drag start, in pixels.
+   */
+  _startDragging (event, grabAt, grabAtX, startX, startY) {
+    Object.assign(dragging, { event, grabAt, grabAtX, startX, startY })
+    Object.assign(currentDrag, { payload: JSON.parse(this._getDragOutPayload(event)), grabAt })
 
     const { clickHoldAnEvent } = this._vuecal.domEvents
     // Cancel any delete on dragStart (if held for too long). Don't drag an event with a visible delete button.
@@ -117,15 +369,21 @@ export const DragAndDrop = class {
   eventDragEnd (event) {
     this._vuecal.domEvents.dragAnEvent._eid = null
     dragging._eid = null
+    dragging.event = null
+    dragging.transferData = {}
+    Object.assign(currentDrag, { payload: null, grabAt: 0 })
+    this._vuecal.domEvents.dragAnEvent.dropIndicator = null
+    dragOverCheck = { key: null, notAllowed: false }
     event.dragging = false
     event.draggingStatic = false
 
     // If an event is dragged from a Vue Cal instance and dropped in a different one, remove the
-    // event from the first one.
-    const { fromVueCal, toVueCal } = dragging
-    if (toVueCal && fromVueCal !== toVueCal) this._vuecal.utils.event.deleteAnEvent(event)
+    // event from the first one, unless it was duplicated.
+    const { fromVueCal, toVueCal, duplicated } = dragging
+    if (toVueCal && fromVueCal !== toVueCal && !duplicated) this._vuecal.utils.event.deleteAnEvent(event)
     dragging.fromVueCal = null
     dragging.toVueCal = null
+    dragging.duplicated = false
 
     // When dropping the event, cancel view change if no cell received the event (in cellDragDrop).
     if (viewChanged && cancelViewChange && viewBeforeDrag.id) this._vuecal.switchView(viewBeforeDrag.id, viewBeforeDrag.date, true)
@@ -145,10 +403,16 @@ export const DragAndDrop = class {
 
     // Cancel dragEnter event if hovering a child.
     if (e.currentTarget.contains(e.relatedTarget)) return
-    if (target === dragOverCell.el || !target.className.includes('vuecal__cell-content')) return false
+    // Only the events can be dropped, not the files or texts dragged over.
+    if (!hasEventPayload(e)) return
+    if (target === dragOverCell.el || !/vuecal__(cell-content|timeline-cells)/.test(target.className)) return false
 
     // Un-highlight the previous cell.
-    if (dragOverCell.el) dragOverCell.cell.highlighted = false
+    if (dragOverCell.el) {
+      dragOverCell.cell.highlighted = false
+      dragOverCell.cell.dropNotAllowed = false
+      this._vuecal.domEvents.dragAnEvent.dropIndicator = null
+    }
 
     dragOverCell = { el: target, cell, timeout: clearTimeout(dragOverCell.timeout) }
     cell.highlighted = true
@@ -162,6 +426,8 @@ export const DragAndDrop = class {
   /**
    * On cell/split drag over, highlight the cell being hovered,
    * Useful when starting to drag event on the same cell/split it's in.
+   * Also flag the cell when the event can't be dropped there (`allowOverlap` and `eventConstraint` options),
+   * and show the time at which the event would be dropped on the views with a time column.
    * Warning: This is fired repeatedly as long as you stay over this cell/split.
    *
    * @param {Object} e The associated DOM event.
@@ -170,9 +436,75 @@ export const DragAndDrop = class {
    * @param {Number|String} split The optional split being hovered if any.
    */
   cellDragOver (e, cell, cellDate, split) {
+    // Not preventing the default behavior refuses the drop.
+    if (!hasEventPayload(e)) return
+
     e.preventDefault()
     cell.highlighted = true
     if (split || split === 0) cell.highlightedSplit = split
+
+    // The events dragged from outside of any Vue Cal are known from their payload (see utils/external-drag.js),
+    // or only on drop if they only set the `event` data.
+    const draggedEvent = dragging.event || currentDrag.payload
+    if (!draggedEvent) return
+
+    const duplicate = this._isDuplicating(e)
+    // Keep the drop effect of the external drags, which may only allow a copy.
+    if (e.dataTransfer && dragging.event) e.dataTransfer.dropEffect = duplicate ? 'copy' : 'move'
+
+    // On the timeline view, the split is the resource of the row, and the day cell is at the cursor.
+    const isTimeline = this._vuecal.view.id === 'timeline'
+    const event = isTimeline
+      ? this._getDroppedEvent(e, draggedEvent, this._getTimelineEventStart(e).cellDate, null, split)
+      : this._getDroppedEvent(e, draggedEvent, cellDate, split, null)
+    // Only update the indicator when it changes, as all the cells watch it.
+    const { dragAnEvent } = this._vuecal.domEvents
+    const dropIndicator = this._getDropIndicator(event, duplicate)
+    if (JSON.stringify(dropIndicator) !== JSON.stringify(dragAnEvent.dropIndicator)) dragAnEvent.dropIndicator = dropIndicator
+
+    const { conflict: uc } = this._vuecal.utils
+    if (!uc.isEnabled) return
+
+    const key = `${event.start.getTime()}_${event.split}_${event.resource}_${duplicate}`
+    if (dragOverCheck.key !== key) {
+      dragOverCheck = { key, notAllowed: !!uc.check(event, 'drop', this._vuecal.cleanupEvent(draggedEvent)) }
+    }
+    cell.dropNotAllowed = dragOverCheck.notAllowed
+  }
+
+  /**
+   * The time at which the dragged event would be dropped, shown in its cell (or split) on the views with
+   * a time column.
+   *
+   * @param {Object} event The dragged event at its drop position (see _getDroppedEvent()).
+   * @param {Boolean} duplicate Whether the event is duplicated.
+   * @return {Object|null} containing { formattedDate, split, from, to, label, duplicate }.
+   */
+  _getDropIndicator (event, duplicate) {
+    const { hasTimeColumn, formatEventTime, utils } = this._vuecal
+    if (!hasTimeColumn || event.allDay) return null
+
+    const ud = utils.date
+    return {
+      formattedDate: ud.formatDateLite(event.start),
+      split: event.split === undefined ? null : event.split,
+      from: event.startTimeMinutes,
+      to: event.endTimeMinutes,
+      label: `${formatEventTime(event)} - ${formatEventTime(event, true)}`,
+      duplicate
+    }
+  }
+
+  /**
+   * Remove the highlighted state of a cell/split, and the drop indicator.
+   *
+   * @param {Object} cell The cell component's $data.
+   */
+  _unhighlightCell (cell) {
+    cell.highlighted = false
+    cell.highlightedSplit = null
+    cell.dropNotAllowed = false
+    this._vuecal.domEvents.dragAnEvent.dropIndicator = null
   }
 
   /**
@@ -197,37 +529,70 @@ export const DragAndDrop = class {
       clearTimeout(dragOverCell.timeout)
       dragOverCell = { el: null, cell: null, timeout: null }
       cell.highlighted = false
+      cell.dropNotAllowed = false
+      this._vuecal.domEvents.dragAnEvent.dropIndicator = null
     }
   }
 
   /**
    * On successful event drop into a cell/split.
-   * Change the event start and end time and remove the event dragging state
-   * and cell/split highlighted state.
+   * Change the event start and end time (or create a copy of the event if duplicating) and remove
+   * the event dragging state and cell/split highlighted state.
    *
    * @param {Object} e The associated DOM event.
    * @param {Object} cell The cell component's $data.
    * @param {Date} cellDate The hovered cell starting date.
    * @param {Number|String} split The optional split being dropped into, if any.
+   * @param {Number|String} resource The optional resource being dropped into, on the timeline view.
    */
-  cellDragDrop (e, cell, cellDate, split) {
+  cellDragDrop (e, cell, cellDate, split, resource = null) {
     // Needed to prevent navigation to the text set in dataTransfer from eventDragStart().
     e.preventDefault()
 
     clearTimeout(dragOverCell.timeout)
     dragOverCell = { el: null, cell: null, timeout: null }
 
-    const transferData = JSON.parse(e.dataTransfer.getData('event') || '{}')
+    let transferData = this._getDropPayload(e)
+    // The events dragged from outside of any Vue Cal can be rejected or transformed before their creation.
+    if (transferData && !dragging.fromVueCal) transferData = this._beforeExternalDrop(e, transferData, cellDate, split, resource)
+    if (!transferData) {
+      this._unhighlightCell(cell)
+      return
+    }
+
+    const duplicate = this._isDuplicating(e)
     let event, addToView
 
+    // Reject the drop if the event can't overlap the events there, or if eventConstraint rejects it:
+    // the event stays where it was. A duplicated event is a creation.
+    const { conflict: uc } = this._vuecal.utils
+    const droppedEvent = this._getDroppedEvent(e, transferData, cellDate, split, resource)
+    const action = duplicate ? 'create' : 'drop'
+    const originalEvent = duplicate ? null : this._vuecal.cleanupEvent(transferData)
+    const conflict = uc.check(droppedEvent, action, originalEvent)
+    if (conflict) {
+      this._unhighlightCell(cell)
+      uc.emitConflict(droppedEvent, action, originalEvent, conflict)
+      return
+    }
+
+    this._vuecal.utils.history.begin()
+
     // If the event is not coming from this Vue Cal it means that we are accepting a new event.
-    // So create the event in this Vue Cal.
-    if (dragging.fromVueCal !== this._vuecal._uid) {
+    // So create the event in this Vue Cal. Same when duplicating an event.
+    if (duplicate || dragging.fromVueCal !== this._vuecal._uid) {
       // Removing the _eid is mandatory! It prevents the event to be duplicated when drag and
       // dropping to another calendar then back to the original place.
-      const { _eid, start, end, duration, ...cleanTransferData } = transferData
+      // Dropping an occurrence of a recurring event creates a simple event, not a new series.
+      const { _eid, start, end, duration, repeat, _occurrence, ...cleanTransferData } = transferData
       // Note: createAnEvent adds the event to the view.
-      event = this._vuecal.utils.event.createAnEvent(cellDate, duration, { ...cleanTransferData, split })
+      // Create it at its drop position, for onEventCreate and the conflicts check.
+      event = this._vuecal.utils.event.createAnEvent(droppedEvent.start, duration, {
+        ...cleanTransferData,
+        end: droppedEvent.end,
+        split,
+        ...((resource || resource === 0) && { resource })
+      })
     }
     else {
       // Find the dragged event from its _eid in the view or mutableEvents array.
@@ -246,12 +611,27 @@ export const DragAndDrop = class {
         const duration = transferData.endTimeMinutes - transferData.startTimeMinutes
         // Pass exactly the same event as it was before the view change (same _eid as well) except dates.
         const { start, end, ...cleanTransferData } = transferData
-        event = this._vuecal.utils.event.createAnEvent(cellDate, duration, { ...cleanTransferData, split })
+        // The occurrence of a recurring event must not create a new series.
+        if (cleanTransferData._occurrence) cleanTransferData.repeat = null
+        event = this._vuecal.utils.event.createAnEvent(droppedEvent.start, duration, {
+          ...cleanTransferData,
+          end: droppedEvent.end,
+          split,
+          ...((resource || resource === 0) && { resource })
+        })
         // Note: createAnEvent adds the event to the view.
       }
     }
 
-    const { start: oldDate, split: oldSplit } = event
+    // The creation was cancelled by onEventCreate or rejected.
+    if (!event) {
+      this._unhighlightCell(cell)
+      this._vuecal.utils.history.commit()
+      return
+    }
+
+    const { start: oldDate, split: oldSplit, resource: oldResource } = event
+    this._vuecal.utils.history.touch(event)
     this._updateEventStartEnd(e, event, transferData, cellDate)
 
     // Only add the event to view after the start and end are modified otherwise
@@ -260,23 +640,55 @@ export const DragAndDrop = class {
 
     event.dragging = false
     if (split || split === 0) event.split = split
+    if (resource || resource === 0) event.resource = resource
 
-    cell.highlighted = false
-    cell.highlightedSplit = null
+    // Commit the change on the occurrence of a recurring event or on its series.
+    const newDate = event.start
+    let recurrence = null
+    if (event._occurrence) ({ event, recurrence } = this._vuecal.utils.event.commitOccurrenceChange(event))
+
+    this._unhighlightCell(cell)
     cancelViewChange = false
     dragging.toVueCal = this._vuecal._uid
 
+    // Emit `event-duplicate` with the copy and the original event. The copy was created with
+    // the `event-create` and `event-change` events.
+    if (duplicate) {
+      dragging.duplicated = true
+      this._vuecal.$emit('event-duplicate', {
+        event: this._vuecal.cleanupEvent(event),
+        originalEvent: this._vuecal.cleanupEvent(transferData)
+      })
+      this._vuecal.utils.history.commit('event-duplicate')
+      // Like after a drop, end the drag of the original event if the dragend didn't trigger.
+      const { event: draggedEvent } = dragging
+      setTimeout(() => {
+        if (dragging._eid) this.eventDragEnd(draggedEvent)
+      }, 300)
+      return
+    }
+
     // Emit `event-drop` & `event-change` events and return the updated event.
+    const { fromDate } = this._vuecal.utils.dateAdapter
     const params = {
       event: this._vuecal.cleanupEvent(event),
-      oldDate,
-      newDate: event.start,
+      oldDate: fromDate(oldDate),
+      newDate: fromDate(newDate),
       ...((split || split === 0) && { oldSplit, newSplit: split }),
+      ...((resource || resource === 0) && { oldResource, newResource: resource }),
       originalEvent: this._vuecal.cleanupEvent(transferData),
-      external: !dragging.fromVueCal // If external event, not coming from any Vue Cal.
+      external: !dragging.fromVueCal, // If external event, not coming from any Vue Cal.
+      ...(recurrence ? { recurrence } : {})
     }
     this._vuecal.$emit('event-drop', params)
-    this._vuecal.$emit('event-change', { event: params.event, originalEvent: params.originalEvent })
+    this._vuecal.$emit('event-change', {
+      event: params.event,
+      originalEvent: params.originalEvent,
+      ...(recurrence ? { recurrence } : {})
+    })
+    // Dropping a selected event moves all the selected events (eventsSelection option).
+    if (dragging.fromVueCal === this._vuecal._uid) this._vuecal.utils.selection.followDroppedEvent(transferData._eid, oldDate, newDate)
+    this._vuecal.utils.history.commit('event-drop')
 
     // Sometimes the event dragend does not trigger (?!), so manually trigger it if it didn't.
     setTimeout(() => {
@@ -284,6 +696,18 @@ export const DragAndDrop = class {
     }, 300)
   }
 
+  /**
+   * On successful event drop into a resource row of the timeline view.
+   * The dropped day cell and time are given by the cursor position in the row.
+   *
+   * @param {Object} e The associated DOM event.
+   * @param {Object} timeline The timeline component's $data.
+   * @param {Number|String} resource The resource being dropped into.
+   */
+  timelineRowDragDrop (e, timeline, resource) {
+    this.cellDragDrop(e, timeline, this._getTimelineEventStart(e).cellDate, null, resource)
+  }
+
   /**
    * On drag enter on a view button or on today, prev & next buttons.
    * Sets a highlighted state on the hovered button, and go to requested view.
@@ -312,7 +736,7 @@ export const DragAndDrop = class {
           // If hovering today from a year or years view go to narrower view from month view.
           viewId = this._vuecal.enabledViews.filter(view => !view.includes('year'))[0]
         }
-        this._vuecal.switchView(viewId || this._vuecal.view.id, new Date(new Date().setHours(0, 0, 0, 0)), true)
+        this._vuecal.switchView(viewId || this._vuecal.view.id, new Date(this._vuecal.getNow().setHours(0, 0, 0, 0)), true)
       }
       else this._vuecal.switchView(id, null, true)
       viewChanged = true
@@ -341,4 +765,191 @@ export const DragAndDrop = class {
       if (pressPrevOrNextInterval) pressPrevOrNextInterval = clearInterval(pressPrevOrNextInterval)
     }
   }
+
+  /**
+   * On event pointer down with a finger or a pen, only possible if the event is draggable.
+   * A long press starts the drag, and moving before is a scroll. The mouse uses the native
+   * HTML5 drag & drop (see eventDragStart()).
+   *
+   * @param {Object} e The associated DOM event.
+   * @param {Object} event The event to drag.
+   */
+  eventPointerDown (e, event) {
+    if (e.pointerType === 'mouse' || !e.isPrimary || pointerDrag.pointerId !== null) return
+
+    const { clientX: x, clientY: y, ctrlKey, altKey, shiftKey } = e
+    pointerDrag = {
+      ...initialPointerDrag,
+      pointerId: e.pointerId,
+      event,
+      el: e.currentTarget,
+      startX: x,
+      startY: y,
+      x,
+      y,
+      modifiers: { ctrlKey, altKey, shiftKey }
+    }
+    pointerDrag.longPressTimeout = setTimeout(() => this._pointerDragStart(), longPressDelay)
+
+    document.addEventListener('pointermove', this._onPointerMove)
+    document.addEventListener('pointerup', this._onPointerUp)
+    document.addEventListener('pointercancel', this._onPointerCancel)
+    // No context menu on long press.
+    document.addEventListener('contextmenu', preventDefault)
+  }
+
+  /**
+   * After the long press, start dragging the event: set the same dragging state as the HTML5 drag start,
+   * and show a ghost of the event under the finger.
+   */
+  _pointerDragStart () {
+    const { event, el, x, y } = pointerDrag
+    if (!el.isConnected) return this._pointerDragReset()
+
+    const { left, right, top, width, height } = el.getBoundingClientRect()
+    const grabAt = y - top
+    // In pixels from the event start, for the timeline view: the right edge of the event in RTL.
+    const grabAtX = this._vuecal.isRtl ? right - x : x - left
+    dragging.transferData = { event: JSON.stringify(event), 'cursor-grab-at': grabAt, 'cursor-grab-at-x': grabAtX }
+    this._startDragging(event, grabAt, grabAtX, x, y)
+
+    // The ghost stays in the Vue Cal element to keep the theme styles.
+    const ghost = el.cloneNode(true)
+    ghost.classList.add('vuecal__event--dragging', 'vuecal__event--ghost')
+    // Replace the position of the event in its cell.
+    Object.assign(ghost.style, { top: 0, left: 0, right: 'auto', width: `${width}px`, height: `${height}px` })
+    this._vuecal.$el.appendChild(ghost)
+    Object.assign(pointerDrag, { started: true, ghost })
+    this._moveGhost()
+
+    // Don't scroll the page while dragging.
+    document.addEventListener('touchmove', preventDefault, { passive: false })
+    this._pointerDragFrame()
+  }
+
+  _onPointerMove = e => {
+    if (e.pointerId !== pointerDrag.pointerId) return
+    const { clientX: x, clientY: y, ctrlKey, altKey, shiftKey } = e
+    Object.assign(pointerDrag, { x, y, modifiers: { ctrlKey, altKey, shiftKey } })
+
+    if (!pointerDrag.started) {
+      const { x, y, startX, startY } = pointerDrag
+      if (Math.abs(x - startX) > longPressTolerance || Math.abs(y - startY) > longPressTolerance) this._pointerDragReset()
+      return
+    }
+
+    e.preventDefault()
+    this._moveGhost()
+  }
+
+  _onPointerUp = e => {
+    if (e.pointerId !== pointerDrag.pointerId) return
+
+    if (pointerDrag.started) {
+      const { clientX: x, clientY: y, ctrlKey, altKey, shiftKey } = e
+      Object.assign(pointerDrag, { x, y, modifiers: { ctrlKey, altKey, shiftKey } })
+      this._pointerDragOver()
+      // Like the native drag & drop, leave the element if it doesn't accept the drop.
+      const { target, dropAllowed } = pointerDrag
+      if (target) this._dispatchDragEvent(dropAllowed ? 'drop' : 'dragleave', target)
+      this.eventDragEnd(pointerDrag.event)
+    }
+    this._pointerDragReset()
+  }
+
+  _onPointerCancel = e => {
+    if (e.pointerId !== pointerDrag.pointerId) return
+    const { started, event, target } = pointerDrag
+
+    if (started) {
+      if (target) this._dispatchDragEvent('dragleave', target)
+      this.eventDragEnd(event)
+    }
+    this._pointerDragReset()
+  }
+
+  // On each frame of the pointer drag: auto scroll and hover the element under the finger,
+  // like the native dragover which fires repeatedly even if the cursor doesn't move.
+  _pointerDragFrame = () => {
+    this._autoScroll()
+    this._pointerDragOver()
+    pointerDrag.frame = requestAnimationFrame(this._pointerDragFrame)
+  }
+
+  /**
+   * Dispatch the drag events to the element under the finger, like the native drag & drop:
+   * dragenter on the new element then dragleave on the previous one, and dragover.
+   */
+  _pointerDragOver () {
+    const { x, y, target: previousTarget } = pointerDrag
+    const target = document.elementFromPoint(x, y)
+
+    if (target !== previousTarget) {
+      if (target) this._dispatchDragEvent('dragenter', target, previousTarget)
+      if (previousTarget) this._dispatchDragEvent('dragleave', previousTarget, target)
+      pointerDrag.target = target
+    }
+
+    // The drop is allowed where the dragover is prevented.
+    pointerDrag.dropAllowed = !!target && !this._dispatchDragEvent('dragover', target)
+  }
+
+  /**
+   * Dispatch a drag event at the finger position, with the modifier keys. It has no dataTransfer:
+   * the handlers read the transfer data from the dragging state (see _getTransferData()).
+   *
+   * @param {String} type The event type: `dragenter`, `dragover`, `dragleave` or `drop`.
+   * @param {Object} target The DOM element receiving the event.
+   * @param {Object} relatedTarget The DOM element left or entered, if any.
+   * @return {Boolean} false if the event was prevented.
+   */
+  _dispatchDragEvent (type, target, relatedTarget = null) {
+    const { x: clientX, y: clientY, modifiers } = pointerDrag
+    return target.dispatchEvent(new MouseEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      clientX,
+      clientY,
+      relatedTarget,
+      ...modifiers
+    }))
+  }
+
+  // Keep the ghost under the finger, at the same place it grabbed the event.
+  _moveGhost () {
+    const { ghost, x, y } = pointerDrag
+    const left = this._vuecal.isRtl ? x + dragging.grabAtX - ghost.offsetWidth : x - dragging.grabAtX
+    ghost.style.transform = `translate(${left}px, ${y - dragging.grabAt}px)`
+  }
+
+  // Scroll the calendar body when the finger is near its edges, faster closer to the edge.
+  _autoScroll () {
+    const scroller = this._vuecal.$el.querySelector('.vuecal__timeline-body, .vuecal__bg')
+    if (!scroller) return
+
+    const { x, y } = pointerDrag
+    const { top, bottom, left, right } = scroller.getBoundingClientRect()
+    if (x < left || x > right || y < top || y > bottom) return
+
+    const speed = distance => Math.round(autoScrollSpeed * (1 - distance / autoScrollEdge))
+    if (y - top < autoScrollEdge) scroller.scrollTop -= speed(y - top)
+    else if (bottom - y < autoScrollEdge) scroller.scrollTop += speed(bottom - y)
+    if (x - left < autoScrollEdge) scroller.scrollLeft -= speed(x - left)
+    else if (right - x < autoScrollEdge) scroller.scrollLeft += speed(right - x)
+  }
+
+  // End the long press or the pointer drag.
+  _pointerDragReset () {
+    const { longPressTimeout, frame, ghost } = pointerDrag
+    clearTimeout(longPressTimeout)
+    cancelAnimationFrame(frame)
+    if (ghost) ghost.remove()
+
+    document.removeEventListener('pointermove', this._onPointerMove)
+    document.removeEventListener('pointerup', this._onPointerUp)
+    document.removeEventListener('pointercancel', this._onPointerCancel)
+    document.removeEventListener('contextmenu', preventDefault)
+    document.removeEventListener('touchmove', preventDefault, { passive: false })
+    pointerDrag = { ...initialPointerDrag }
+  }
 }
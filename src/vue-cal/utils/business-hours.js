@@ -0,0 +1,147 @@
+/**
+ * Business Hours Utils.
+ * Tells when the calendar is open from the `businessHours` option: the opening hours by weekday,
+ * overridden by date or by date range (e.g. a holiday, a closed afternoon).
+ * A day split can have its own `businessHours` in the same format, replacing the calendar ones.
+ * The closed time is painted in the cells, and with the `enforceBusinessHours` option, the events can't
+ * be created, dropped or resized outside of the opening hours (checked with the conflicts, see utils/conflict.js).
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+const minutesInADay = 24 * 60
+
+export default class BusinessHoursUtils {
+  _vuecal = null
+
+  constructor (vuecal) {
+    this._vuecal = vuecal
+  }
+
+  // Only check the events against the business hours with the `enforceBusinessHours` option.
+  get isEnabled () {
+    const vc = this._vuecal
+    return vc.enforceBusinessHours && (!!vc.businessHours || vc.daySplits.some(split => !!split.businessHours))
+  }
+
+  /**
+   * The opening hours of a day: from the last matching date override if any, or else from the weekday.
+   *
+   * @param {Date} date the day.
+   * @param {Number|String} split the optional split id, to use the business hours of the split if any.
+   * @return {Array|null} the opening hours [{ from, to }] in minutes from midnight, sorted, or null if
+   *                      there are no business hours (always open).
+   */
+  getOpeningHours = (date, split = null) => {
+    const businessHours = this._getBusinessHours(split)
+    if (!businessHours) return null
+
+    const formattedDate = this._vuecal.utils.date.formatDateLite(date)
+    const override = (businessHours.dates || []).filter(item => {
+      const start = this._formatDate(item.date || item.start)
+      const end = this._formatDate(item.date || item.end || item.start)
+      return start <= formattedDate && formattedDate <= end
+    }).pop()
+
+    // The weekdays go from 1 (Monday) to 7 (Sunday), like the specialHours option.
+    return this._normalizeHours(override ? override.hours : businessHours[date.getDay() || 7])
+  }
+
+  /**
+   * The closed hours of a day: the time out of the opening hours, to paint it in the cells.
+   *
+   * @param {Date} date the day.
+   * @param {Number|String} split the optional split id.
+   * @return {Array} the closed hours [{ from, to }] in minutes from midnight.
+   */
+  getClosedHours = (date, split = null) => {
+    const openingHours = this.getOpeningHours(date, split)
+    if (!openingHours) return []
+
+    const closedHours = []
+    let from = 0
+    openingHours.forEach(range => {
+      if (range.from > from) closedHours.push({ from, to: range.from })
+      from = Math.max(from, range.to)
+    })
+    if (from < minutesInADay) closedHours.push({ from, to: minutesInADay })
+
+    return closedHours
+  }
+
+  /**
+   * Tells whether an event is in the opening hours of each of its days.
+   * The all-day events (and the events of the views without time) only need their days to be open.
+   *
+   * @param {Object} event the event to check.
+   * @return {Boolean} true if the event is in the opening hours.
+   */
+  isOpen = event => {
+    const { date: ud } = this._vuecal.utils
+    const { start, split } = event
+    let { end } = event
+    const checkTime = !event.allDay && this._vuecal.time
+    // Ending at midnight is ending at the end of the previous day.
+    if (!ud.dateToMinutes(end) && end > start) end = new Date(end.getTime() - 1000)
+
+    const lastDay = ud.formatDateLite(end)
+    for (let day = new Date(start); ud.formatDateLite(day) <= lastDay; day = ud.addDays(day, 1)) {
+      const openingHours = this.getOpeningHours(day, split)
+      if (!openingHours) return true
+      if (!checkTime) {
+        if (!openingHours.length) return false
+        continue
+      }
+
+      const isFirstDay = ud.formatDateLite(day) === ud.formatDateLite(start)
+      const isLastDay = ud.formatDateLite(day) === lastDay
+      const from = isFirstDay ? ud.dateToMinutes(start) : 0
+      const to = isLastDay ? ud.dateToMinutes(end) + (end.getSeconds() ? 1 : 0) : minutesInADay
+      if (!openingHours.some(range => range.from <= from && to <= range.to)) return false
+    }
+
+    return true
+  }
+
+  /**
+   * The end of the opening hours containing a date, e.g. to stop resizing an event there.
+   *
+   * @param {Date} date the date and time.
+   * @param {Number|String} split the optional split id.
+   * @return {Date|null} the closing date and time, or null if closed at that time.
+   */
+  getClosingTime = (date, split = null) => {
+    const minutes = this._vuecal.utils.date.dateToMinutes(date)
+    const range = (this.getOpeningHours(date, split) || []).find(range => range.from <= minutes && minutes < range.to)
+    if (!range) return null
+
+    const closingTime = new Date(date)
+    closingTime.setHours(0, range.to, range.to === minutesInADay ? -1 : 0, 0)
+    return closingTime
+  }
+
+  // The business hours of a day split if any, or else the calendar ones.
+  _getBusinessHours = split => {
+    const vc = this._vuecal
+    const daySplit = (split || split === 0) && vc.daySplits.find(item => item.id === split)
+    return (daySplit && daySplit.businessHours) || vc.businessHours || null
+  }
+
+  // A range `{ from, to }` or an array of ranges in minutes, or false for closed.
+  _normalizeHours = hours => {
+    return [].concat(hours || [])
+      .map(({ from, to }) => ({ from: Math.max(from * 1, 0), to: Math.min(to * 1, minutesInADay) }))
+      .filter(({ from, to }) => from < to)
+      .sort((a, b) => a.from - b.from)
+  }
+
+  // The dates of the overrides are 'YYYY-MM-DD' strings or dates, compared as formatted dates.
+  _formatDate = date => {
+    const { date: ud, dateAdapter } = this._vuecal.utils
+    if (typeof date === 'string') return date.substr(0, 10)
+    date = dateAdapter.toDate(date)
+    return date instanceof Date ? ud.formatDateLite(date) : ''
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * Calendar Systems Utils.
+ * The years and months of the views, the titles, the formatted dates and the week numbers follow a
+ * calendar system: the Gregorian one by default, any calendar supported by the browser Intl API
+ * (e.g. `islamic-umalqura` for Hijri, `persian` for Jalali or `hebrew`), or a custom one.
+ *
+ * The days stay JavaScript Dates: a calendar system only needs to give the year and the day of the month
+ * of a date, from which the months are found (a month starts when its day is 1, and a year starts when
+ * the year changes). So the months can be of 29 to 31 days and there can be 12 or 13 months in a year.
+ * A custom calendar system is an object: `{ toParts: date => ({ year, day }), monthName: (date, locale, short) => String }`,
+ * `monthName` being optional.
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+let ud
+
+// A year is always longer than this number of days (the shortest is a 353-day Hebrew year),
+// so jumping this number of days from the start of a year stays in the same year.
+const minDaysInAYear = 340
+
+export default class CalendarUtils {
+  _vuecal = null
+  // The Intl calendar id, or the custom calendar system object, or null for the Gregorian calendar.
+  _system = null
+  // The Intl formatters, by locale and options: they are expensive to create.
+  _formatters = {}
+  // The parts of the already converted dates, by timestamp.
+  _partsCache = new Map()
+
+  constructor (vuecal, dateUtils) {
+    this._vuecal = vuecal
+    ud = dateUtils
+  }
+
+  get isGregorian () {
+    return !this._system
+  }
+
+  /**
+   * Set the calendar system of the views.
+   *
+   * @param {String|Object} system `gregory`, an Intl calendar id, or a custom calendar system object.
+   */
+  setSystem = system => {
+    this._system = null
+    this._formatters = {}
+    this._partsCache.clear()
+    if (!system || system === 'gregory') return
+
+    if (typeof system === 'object' && typeof system.toParts === 'function') this._system = system
+    else if (typeof system === 'string' && this._isIntlCalendar(system)) this._system = system
+    else {
+      // eslint-disable-next-line no-console
+      console.warn(`Vue Cal: the calendar system \`${system}\` is not supported, falling back to the Gregorian calendar.`)
+    }
+  }
+
+  /**
+   * The year and the day of the month of a date in the calendar system.
+   *
+   * @param {Date} date a JavaScript Date.
+   * @return {Object} containing { year: {Number}, day: {Number} }.
+   */
+  getParts = date => {
+    if (this.isGregorian) return { year: date.getFullYear(), day: date.getDate() }
+
+    const key = new Date(date).setHours(0, 0, 0, 0)
+    let parts = this._partsCache.get(key)
+    if (parts) return parts
+
+    if (typeof this._system === 'object') parts = this._system.toParts(new Date(key))
+    else {
+      parts = this._getFormatter('en', { year: 'numeric', month: 'numeric', day: 'numeric' })
+        .formatToParts(new Date(key))
+        .reduce((obj, { type, value }) => {
+          if (type === 'year' || type === 'day') obj[type] = parseInt(value)
+          return obj
+        }, {})
+    }
+
+    // Don't keep converted dates forever.
+    if (this._partsCache.size > 2000) this._partsCache.clear()
+    this._partsCache.set(key, parts)
+    return parts
+  }
+
+  getYear = date => this.getParts(date).year
+
+  // The day of the month.
+  getDay = date => this.getParts(date).day
+
+  /**
+   * The first day of the month of a date, at midnight.
+   *
+   * @param {Date} date a JavaScript Date.
+   * @return {Date} a new Date.
+   */
+  startOfMonth = date => {
+    if (this.isGregorian) return new Date(date.getFullYear(), date.getMonth(), 1)
+
+    const start = ud.subtractDays(date, this.getDay(date) - 1)
+    start.setHours(0, 0, 0, 0)
+    return start
+  }
+
+  /**
+   * The first day of the month a number of months after (or before if negative) the month of a date.
+   *
+   * @param {Date} date a JavaScript Date.
+   * @param {Number} months the number of months to add.
+   * @return {Date} a new Date.
+   */
+  addMonths = (date, months) => {
+    if (this.isGregorian) return new Date(date.getFullYear(), date.getMonth() + months, 1)
+
+    let start = this.startOfMonth(date)
+    for (let i = 0; i < Math.abs(months); i++) {
+      // The months have 29 to 31 days.
+      start = this.startOfMonth(months > 0 ? ud.addDays(start, 31) : ud.subtractDays(start, 1))
+    }
+    return start
+  }
+
+  /**
+   * The first day of the year of a date, at midnight.
+   *
+   * @param {Date} date a JavaScript Date.
+   * @return {Date} a new Date.
+   */
+  startOfYear = date => {
+    if (this.isGregorian) return new Date(date.getFullYear(), 0, 1)
+
+    const year = this.getYear(date)
+    let start = this.startOfMonth(date)
+    let previousMonth = this.addMonths(start, -1)
+    while (this.getYear(previousMonth) === year) {
+      start = previousMonth
+      previousMonth = this.addMonths(start, -1)
+    }
+    return start
+  }
+
+  /**
+   * The first day of the year a number of years after (or before if negative) the year of a date.
+   *
+   * @param {Date} date a JavaScript Date.
+   * @param {Number} years the number of years to add.
+   * @return {Date} a new Date.
+   */
+  addYears = (date, years) => {
+    if (this.isGregorian) return new Date(date.getFullYear() + years, 0, 1)
+
+    let start = this.startOfYear(date)
+    for (let i = 0; i < Math.abs(years); i++) {
+      if (years < 0) start = this.startOfYear(ud.subtractDays(start, minDaysInAYear))
+      else {
+        // Jump close to the end of the year, then to the first month of the next year.
+        const year = this.getYear(start)
+        start = this.startOfMonth(ud.addDays(start, minDaysInAYear))
+        while (this.getYear(start) === year) start = this.addMonths(start, 1)
+      }
+    }
+    return start
+  }
+
+  /**
+   * The index of the month of a date in its year.
+   *
+   * @param {Date} date a JavaScript Date.
+   * @return {Number} from 0 to 11, or to 12 in a calendar system of 13 months.
+   */
+  getMonthIndex = date => {
+    if (this.isGregorian) return date.getMonth()
+
+    const yearStart = this.startOfYear(date).getTime()
+    let month = this.startOfMonth(date)
+    let index = 0
+    while (month.getTime() > yearStart) {
+      month = this.addMonths(month, -1)
+      index++
+    }
+    return index
+  }
+
+  /**
+   * The name of the month of a date, from the vue-cal texts in the Gregorian calendar,
+   * or from the Intl API (or the custom calendar system) in the vue-cal locale.
+   *
+   * @param {Date} date a JavaScript Date.
+   * @param {Object} texts the localized texts.
+   * @param {Boolean} short for the short name of the month.
+   * @return {String} the month name.
+   */
+  getMonthName = (date, texts, short = false) => {
+    if (this.isGregorian) {
+      const name = texts.months[date.getMonth()]
+      return short ? name.substring(0, 3) : name
+    }
+
+    const locale = typeof this._vuecal.locale === 'string' ? this._vuecal.locale : 'en'
+    if (typeof this._system === 'object') {
+      const { monthName } = this._system
+      return monthName ? monthName(date, locale, short) : `${this.getMonthIndex(date) + 1}`
+    }
+
+    return this._getFormatter(locale, { month: short ? 'short' : 'long' }).format(date)
+  }
+
+  /**
+   * The week number of a week in the calendar system: the first week of the year is the one
+   * containing the first day of the year.
+   *
+   * @param {Date} weekStart the first day of the week.
+   * @param {Number} firstDayOfWeek the first day of the weeks, from 0 (Sunday) to 6 (Saturday).
+   * @return {Number} the week number.
+   */
+  getWeek = (weekStart, firstDayOfWeek) => {
+    // The last day of the week is in the year of the week, even for the week containing the first day of the year.
+    const yearStart = this.startOfYear(ud.addDays(weekStart, 6))
+    const firstWeekStart = ud.getPreviousFirstDayOfWeek(yearStart, firstDayOfWeek)
+    return Math.round((ud.countDays(firstWeekStart, weekStart) - 1) / 7) + 1
+  }
+
+  // The browsers fall back to the Gregorian calendar when a calendar is not supported.
+  _isIntlCalendar = calendar => {
+    try {
+      return new Intl.DateTimeFormat('en', { calendar }).resolvedOptions().calendar === calendar
+    }
+    catch (error) {
+      return false
+    }
+  }
+
+  _getFormatter = (locale, options) => {
+    const calendar = this._system
+    const key = `${locale}${calendar}${JSON.stringify(options)}`
+    if (!this._formatters[key]) {
+      try {
+        this._formatters[key] = new Intl.DateTimeFormat(locale, { ...options, calendar })
+      }
+      catch (error) {
+        // An invalid locale.
+        this._formatters[key] = new Intl.DateTimeFormat('en', { ...options, calendar })
+      }
+    }
+    return this._formatters[key]
+  }
+}
@@ -7,6 +7,8 @@
  */
 
 const minutesInADay = 24 * 60
+// Key codes of the keyboard navigation in the cells grid.
+const keys = { pageUp: 33, pageDown: 34, end: 35, home: 36, left: 37, up: 38, right: 39, down: 40 }
 
 export default class CellUtils {
   _vuecal = null
@@ -23,6 +25,7 @@ export default class CellUtils {
    * @param {Integer} split The selected cell split if any.
    */
   selectCell = (force = false, date, split) => {
+    date = this._vuecal.utils.dateAdapter.fromDate(date)
     // Cell-click event returns a date and time at cursor position.
     this._vuecal.$emit('cell-click', split ? { date, split } : date)
 
@@ -51,6 +54,7 @@ export default class CellUtils {
    * @param {Integer} split The selected cell split if any.
    */
   keyPressEnterCell = (date, split) => {
+    date = this._vuecal.utils.dateAdapter.fromDate(date)
     // Cell-key-press-enter event returns a date and time at cursor position.
     this._vuecal.$emit('cell-keypress-enter', split ? { date, split } : date)
 
@@ -73,22 +77,195 @@ export default class CellUtils {
 
   /**
    * Get the number of minutes from the top to the mouse cursor.
-   * Returns a constrained time between 0 and 24 * 60.
+   * Returns a constrained time between 0 and 24 * 60, or the length of the given day.
    *
    * @param {Object} e the native DOM event object.
+   * @param {Date} date Optional: the day at cursor, to get the minutes from its midnight instead of the
+   *                    wall-clock time. They differ on the daylight saving days.
    * @return {Object} containing { minutes: {Number}, cursorCoords: { x: {Number}, y: {Number} } }
    */
-  minutesAtCursor = e => {
+  minutesAtCursor = (e, date = null) => {
     let minutes = 0
     let cursorCoords = { x: 0, y: 0 }
-    const { timeStep, timeCellHeight, timeFrom } = this._vuecal.$props
+    const vc = this._vuecal
+    const { timeStep, timeCellHeight } = vc.$props
 
     if (typeof e === 'number') minutes = e
     else if (typeof e === 'object') {
       cursorCoords = this.getPosition(e)
-      minutes = Math.round(cursorCoords.y * timeStep / parseInt(timeCellHeight) + timeFrom)
+      // The position in the time column, which can have a repeated hour.
+      const position = Math.round(cursorCoords.y * timeStep / parseInt(timeCellHeight) + vc.timelineFrom)
+      minutes = date ? vc.timelineToDayMinutes(position, date) : vc.timelineToWallClock(position)
     }
 
-    return { minutes: Math.max(Math.min(minutes, minutesInADay), 0), cursorCoords }
+    const max = date ? vc.utils.date.getDayLength(date, vc.timezone) : minutesInADay
+    return { minutes: Math.max(Math.min(minutes, max), 0), cursorCoords }
+  }
+
+  /**
+   * Keyboard navigation in the cells, following the WAI-ARIA grid pattern:
+   * - left/right arrows: previous/next split or cell (next/previous in RTL),
+   * - up/down arrows: previous/next time slot on the views with time, or row of cells,
+   * - home/end: first/last cell of the view,
+   * - page up/page down: previous/next period, on the same day if possible.
+   * Moving out of the view goes to the previous or next period.
+   *
+   * @param {Object} e the native DOM keydown event, on a cell content.
+   * @param {Date} date the start date of the cell.
+   * @param {Boolean} allDay whether the cell is in the all-day bar.
+   */
+  keydownCell = (e, date, allDay = false) => {
+    const vc = this._vuecal
+    const ud = vc.utils.date
+    // Only handle the keys pressed on the cell itself, not on its events or custom content.
+    if (e.target !== e.currentTarget || e.altKey || e.ctrlKey || e.metaKey) return
+
+    const { id: viewId } = vc.view
+    // The cells wrapper: the cells grid or the all-day bar.
+    const cellsEl = e.currentTarget.parentNode.parentNode
+    const splits = this._getCellContents(e.currentTarget.parentNode)
+    const splitIndex = splits.indexOf(e.currentTarget)
+    // Shift a date by a number of units of the view: years, months or days.
+    const shift = (date, count) => {
+      if (viewId === 'years') return vc.utils.calendar.addYears(date, count)
+      else if (viewId === 'year') return vc.utils.calendar.addMonths(date, count)
+      return ud.addDays(date, count)
+    }
+
+    switch (e.keyCode) {
+      case keys.left:
+      case keys.right: {
+        // In RTL the left arrow goes to the next split or cell.
+        const step = (e.keyCode === keys.left) !== vc.isRtl ? -1 : 1
+        if (splits[splitIndex + step]) splits[splitIndex + step].focus()
+        else this._focusDate(cellsEl, shift(date, step), step, step > 0 ? 0 : -1)
+        break
+      }
+      case keys.up:
+      case keys.down: {
+        const step = e.keyCode === keys.up ? -1 : 1
+        if (vc.hasTimeColumn && !allDay) this._focusTimeSlot(step, this._getSplit(e.currentTarget))
+        else {
+          const rowLength = { years: 5, year: 3, month: vc.visibleDaysCount }[viewId]
+          if (!rowLength) return
+          this._focusDate(cellsEl, shift(date, step * rowLength), step, splitIndex)
+        }
+        break
+      }
+      case keys.home:
+      case keys.end: {
+        const cell = vc.viewCells[e.keyCode === keys.home ? 0 : vc.viewCells.length - 1]
+        this._focusDate(cellsEl, cell.startDate, 0, splitIndex)
+        break
+      }
+      case keys.pageUp:
+      case keys.pageDown: {
+        const oldViewStart = vc.view.startDate
+        vc.previousNext(e.keyCode === keys.pageDown)
+        // Keep the same distance from the view start, in days (this is DST-proof).
+        const days = Math.round((vc.view.startDate - oldViewStart) / (1000 * 60 * 60 * 24))
+        this._focusDate(cellsEl, ud.addDays(date, days), 0, splitIndex)
+        break
+      }
+      default: return
+    }
+
+    e.preventDefault()
+  }
+
+  /**
+   * Get the cell contents (1 per split) of a cell DOM node.
+   * The contents leaving with a transition are still in the DOM for a moment, and are ignored.
+   *
+   * @param {Object} cellEl the cell DOM node.
+   * @return {Array} the cell contents DOM nodes.
+   */
+  _getCellContents = cellEl => {
+    return [...cellEl.children].filter(el => (
+      el.classList.contains('vuecal__cell-content') && !/-leave-/.test(el.className)
+    ))
+  }
+
+  // The split id of a cell content DOM node, as a number if numeric, or null.
+  _getSplit = el => {
+    const split = el.getAttribute('data-split')
+    if (split === null) return null
+    return parseInt(split).toString() === split ? parseInt(split) : split
+  }
+
+  /**
+   * Focus the cell containing the given date, and go to the period containing it if not in the view.
+   * The hidden days of the week (e.g. weekends) and the days entirely disabled by the `disableTimeRanges`
+   * option are skipped in the direction of the move.
+   *
+   * @param {Object} cellsEl the DOM node of the cells wrapper.
+   * @param {Date} date the date of the cell to focus.
+   * @param {Number} step the direction of the move: -1, 1, or 0 to not skip hidden days.
+   * @param {Number} splitIndex the index of the split to focus in the cell, -1 for the last one.
+   */
+  _focusDate = (cellsEl, date, step = 0, splitIndex = 0) => {
+    const vc = this._vuecal
+    const isHidden = date => {
+      const day = date.getDay() || 7 // Put Sunday at position 7 instead of 0.
+      return !vc.isYearsOrYearView && ((vc.hideWeekends && day >= 6) || vc.hideWeekdays.includes(day) ||
+        vc.utils.disabledTime.isDayDisabled(date))
+    }
+    // 7 at most, in case all the days are hidden.
+    if (step) {
+      for (let i = 0; i < 7 && isHidden(date); i++) date = vc.utils.date.addDays(date, step)
+    }
+
+    const findCellIndex = () => vc.viewCells.findIndex(cell => date >= cell.startDate && date <= cell.endDate)
+    if (findCellIndex() === -1) vc.updateSelectedDate(date)
+
+    vc.$nextTick(() => {
+      const cellEl = cellsEl.children[findCellIndex()]
+      if (!cellEl) return
+
+      const splits = this._getCellContents(cellEl)
+      const split = splits[splitIndex < 0 ? splits.length - 1 : splitIndex] || splits[0]
+      if (split) split.focus()
+    })
+  }
+
+  /**
+   * Move the focused time slot of the selected cell up or down, on the views with time.
+   * The time slot is highlighted in the cell, and is the time of the cell-keypress-enter event.
+   * The disabled time slots (`disableTimeRanges` option) are skipped.
+   *
+   * @param {Number} step the direction of the move: -1 or 1.
+   * @param {Number|String} split the split id of the focused cell content if any.
+   */
+  _focusTimeSlot = (step, split = null) => {
+    const vc = this._vuecal
+    const { timeFrom, timeTo, timeStep } = vc
+    const { focusATimeSlot } = vc.domEvents
+    const lastSlot = timeTo - timeStep
+    const isDisabled = minutes => {
+      const date = new Date(vc.view.selectedDate)
+      date.setMinutes(minutes)
+      return vc.utils.disabledTime.isTimeDisabled(date, split)
+    }
+
+    // Start from the first time slot of the day.
+    const fromStart = focusATimeSlot.minutes === null
+    let minutes = fromStart ? timeFrom : focusATimeSlot.minutes + step * timeStep
+    while (minutes >= timeFrom && minutes <= lastSlot && isDisabled(minutes)) minutes += (fromStart ? 1 : step) * timeStep
+
+    // Stay on the current time slot at the edges of the day or when all the next ones are disabled.
+    if (minutes < timeFrom || minutes > lastSlot) {
+      if (fromStart) return
+      minutes = focusATimeSlot.minutes
+    }
+    focusATimeSlot.minutes = minutes
+
+    const date = new Date(vc.view.selectedDate)
+    date.setMinutes(focusATimeSlot.minutes)
+    vc.announce(vc.utils.date.formatTime(date, vc.TimeFormat))
+
+    vc.$nextTick(() => {
+      const timeSlot = vc.$el.querySelector('.vuecal__cell-content:focus > .vuecal__time-slot')
+      if (timeSlot) timeSlot.scrollIntoView({ block: 'nearest' })
+    })
   }
 }
@@ -0,0 +1,142 @@
+/**
+ * Conflict Utils.
+ * Prevents the double-bookings: a drop, a resize, a creation or an edition making an event overlap
+ * another one is rejected when overlapping is not allowed between them.
+ * Whether an event can overlap others comes from its `allowOverlap` attribute, or else from the
+ * `allowOverlap` attribute of its day split, or else from the `allowOverlap` option. Two events can't
+ * overlap as soon as one of them does not allow it.
+ * With the `enforceBusinessHours` option, the events must also stay in the opening hours (see utils/business-hours.js).
+ * The events can't be over the time disabled with the `disableTimeRanges` option (see utils/disabled-time.js).
+ * The `eventConstraint` function can also reject any change, e.g. to keep the events in given hours.
+ * Each rejected change emits `event-conflict`.
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+export default class ConflictUtils {
+  _vuecal = null
+
+  constructor (vuecal) {
+    this._vuecal = vuecal
+  }
+
+  // Skip the maths when any overlap is allowed and there is no constraint.
+  get isEnabled () {
+    const vc = this._vuecal
+    return !vc.allowOverlap ||
+      typeof vc.eventConstraint === 'function' ||
+      vc.utils.businessHours.isEnabled ||
+      vc.utils.disabledTime.isEnabled ||
+      vc.daySplits.some(split => split.allowOverlap === false) ||
+      vc.mutableEvents.some(e => e.allowOverlap === false)
+  }
+
+  /**
+   * Check a change of an event: it must not overlap another event where it is not allowed,
+   * it must be in the opening hours with the `enforceBusinessHours` option, it must not be over a disabled
+   * time range, and it must respect the `eventConstraint` function if any.
+   *
+   * @param {Object} event the event with its new attributes (start, end, split, resource...).
+   * @param {String} action the change: `drop`, `resize`, `create` or `edit`.
+   * @param {Object} originalEvent the clean event before the change (as emitted), or null on creation.
+   * @return {Object|null} null if the change is valid, or the conflict:
+   *                       { reason: {String} `overlap`, `business-hours`, `disabled` or `constraint`,
+   *                         conflicts: {Array} the overlapped events }.
+   */
+  check = (event, action, originalEvent = null) => {
+    if (!this.isEnabled) return null
+
+    const vc = this._vuecal
+    const conflicts = this.getOverlappedEvents(event)
+    if (conflicts.length) return { reason: 'overlap', conflicts }
+
+    const { businessHours } = vc.utils
+    if (businessHours.isEnabled && !event.background && !businessHours.isOpen(event)) {
+      return { reason: 'business-hours', conflicts: [] }
+    }
+
+    const { disabledTime } = vc.utils
+    if (disabledTime.isEnabled && !event.background && disabledTime.isEventDisabled(event)) {
+      return { reason: 'disabled', conflicts: [] }
+    }
+
+    if (typeof vc.eventConstraint === 'function' &&
+      vc.eventConstraint(vc.cleanupEvent(event), { action, originalEvent }) === false) {
+      return { reason: 'constraint', conflicts: [] }
+    }
+
+    return null
+  }
+
+  /**
+   * The events that an event overlaps at its dates, where overlapping is not allowed.
+   * The background events never conflict, the all-day events only conflict with the all-day events,
+   * and the events of different day splits or timeline resources don't overlap.
+   *
+   * @param {Object} event the event to check.
+   * @return {Array} the overlapped events, including the occurrences of the recurring events.
+   */
+  getOverlappedEvents = event => {
+    const vc = this._vuecal
+    const ue = vc.utils.event
+    const { start, end } = event
+    if (event.background || !(start instanceof Date) || !(end instanceof Date)) return []
+
+    const allowsOverlap = this._allowsOverlap(event)
+    return vc.mutableEvents
+      // Only create the occurrences of the recurring events in the range of the event.
+      .reduce((list, e) => {
+        if (e.repeat) list.push(...ue.createEventOccurrences(e, start, end))
+        else list.push(e)
+        return list
+      }, [])
+      .filter(e => (
+        e._eid !== event._eid &&
+        !e.background &&
+        !!e.allDay === !!event.allDay &&
+        (!allowsOverlap || !this._allowsOverlap(e)) &&
+        this._shareColumn(e, event) &&
+        ue.eventInRange(e, start, end)
+      ))
+  }
+
+  /**
+   * Emit the `event-conflict` event for a rejected change.
+   *
+   * @param {Object} event the event with the rejected attributes.
+   * @param {String} action the change: `drop`, `resize`, `create` or `edit`.
+   * @param {Object} originalEvent the clean event before the change (as emitted), or null on creation.
+   * @param {Object} conflict the conflict returned by check().
+   */
+  emitConflict = (event, action, originalEvent, { reason, conflicts }) => {
+    const vc = this._vuecal
+    vc.$emit('event-conflict', {
+      event: vc.cleanupEvent(event),
+      originalEvent,
+      action,
+      reason,
+      conflicts: conflicts.map(e => vc.cleanupEvent(e))
+    })
+  }
+
+  _allowsOverlap = event => {
+    if (typeof event.allowOverlap === 'boolean') return event.allowOverlap
+
+    const split = this._vuecal.daySplits.find(split => split.id === event.split)
+    if (split && typeof split.allowOverlap === 'boolean') return split.allowOverlap
+
+    return this._vuecal.allowOverlap
+  }
+
+  // The events of different day splits or timeline resources never overlap.
+  _shareColumn = (event1, event2) => {
+    const vc = this._vuecal
+    const value = (event, prop) => event[prop] === undefined ? null : event[prop]
+
+    if (vc.daySplits.length && value(event1, 'split') !== value(event2, 'split')) return false
+    if (vc.timelineResources.length && value(event1, 'resource') !== value(event2, 'resource')) return false
+    return true
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Date Adapter Utils.
+ * Vue Cal works with native JavaScript Dates internally, but a date adapter lets it accept and return
+ * the date objects of a date library (e.g. Luxon or Day.js) in the `events`, `selectedDate`, `minDate`,
+ * `maxDate` and in all the emitted payloads.
+ * A date adapter is an object: `{ isDate: value => Boolean, toDate: value => Date, fromDate: date => value }`.
+ * Without adapter (or with date-fns which uses native Dates), the dates stay native Dates.
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+export default class DateAdapterUtils {
+  _vuecal = null
+
+  constructor (vuecal) {
+    this._vuecal = vuecal
+  }
+
+  get _adapter () {
+    const adapter = this._vuecal.dateAdapter
+    return adapter && typeof adapter.toDate === 'function' && typeof adapter.fromDate === 'function' ? adapter : null
+  }
+
+  /**
+   * Convert a date given to vue-cal into a native Date.
+   * The strings and native Dates are left untouched: vue-cal already handles them.
+   *
+   * @param {*} value a date of the date library, a native Date or a formatted string.
+   * @return {*} a native Date, or the value untouched if it is not a date of the date library.
+   */
+  toDate = value => {
+    const adapter = this._adapter
+    if (!adapter || !value || typeof value === 'string' || value instanceof Date) return value
+    if (typeof adapter.isDate === 'function' && !adapter.isDate(value)) return value
+
+    return adapter.toDate(value)
+  }
+
+  /**
+   * Convert a native Date into a date of the date library, before returning it to the outside world.
+   *
+   * @param {Date} date a native Date.
+   * @return {*} the date of the date library, or the date untouched without adapter.
+   */
+  fromDate = date => {
+    const adapter = this._adapter
+    return adapter && date instanceof Date ? adapter.fromDate(new Date(date)) : date
+  }
+
+  /**
+   * Convert the start and end dates of an event given to vue-cal into native Dates.
+   *
+   * @param {Object} event the event to convert, left untouched.
+   * @return {Object} a copy of the event if converted, or the same event.
+   */
+  toEvent = event => {
+    if (!this._adapter) return event
+    return { ...event, start: this.toDate(event.start), end: this.toDate(event.end) }
+  }
+
+  /**
+   * Convert the start and end dates of a clean event into dates of the date library.
+   *
+   * @param {Object} event a copy of the event, modified.
+   * @return {Object} the same event.
+   */
+  fromEvent = event => {
+    if (!this._adapter) return event
+    event.start = this.fromDate(event.start)
+    event.end = this.fromDate(event.end)
+    return event
+  }
+}
@@ -1,5 +1,7 @@
 /**
  * Date Utils & prototypes.
+ * The Date prototypes (`addDays`, `format`, etc.) are opt-in only: they are added by `addPrototypes()`
+ * and never by default, so they don't collide with other libraries extending the Date prototype.
  *
  * Waiting for VS Code to support JavaScript private fields.
  * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
@@ -9,23 +11,23 @@
 let now, todayDate, todayF, self
 let _dateObject = {}
 let _timeObject = {}
+const _timezoneFormatters = {} // Cache the Intl formatters per time zone, they are expensive to create.
+const _dstTransitions = {} // Cache the daylight saving changes per time zone and day.
+const minutesInADay = 24 * 60
+const _ordinalRules = {} // Cache the Intl ordinal plural rules per locale.
 
 export default class DateUtils {
   texts = {}
 
-  constructor (texts, noPrototypes = false) {
+  constructor (texts) {
     self = this // For use in Date prototypes.
     this._texts = texts
-
-    // Add prototypes ASAP - only once.
-    if (!noPrototypes && Date && !Date.prototype.addDays) this._initDatePrototypes()
-
-    // @todo: This would be nicer, but how to set Date.noPrototypes ASAP only if user wants?
-    // if (Date.noPrototypes) delete Date.noPrototypes
-    // else this._initDatePrototypes()
   }
 
-  _initDatePrototypes () {
+  // Add the Date prototypes - only once.
+  addPrototypes () {
+    if (!Date || Date.prototype.addDays) return
+
     /* eslint-disable no-extend-native */
     Date.prototype.addDays = function (days) { return self.addDays(this, days) }
     Date.prototype.subtractDays = function (days) { return self.subtractDays(this, days) }
@@ -109,7 +111,24 @@ export default class DateUtils {
     return d
   }
 
-  getWeek (date) {
+  /**
+   * The week number of a date, in the ISO 8601 or US week numbering.
+   * ISO: the weeks start on Monday and the first week of the year contains January 4th.
+   * US: the weeks start on Sunday and the first week of the year contains January 1st.
+   *
+   * @param {Date} date a JavaScript Date.
+   * @param {String} numbering `iso` or `us`.
+   * @return {Number} the week number, from 1 to 53.
+   */
+  getWeek (date, numbering = 'iso') {
+    if (numbering === 'us') {
+      // The Saturday ending the week gives the year of the week.
+      const saturday = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate() + 6 - date.getDay())
+      const year = new Date(saturday).getUTCFullYear()
+      const firstSaturday = Date.UTC(year, 0, 7 - new Date(year, 0, 1).getDay())
+      return (saturday - firstSaturday) / (7 * 86400000) + 1
+    }
+
     const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
     const dayNum = d.getUTCDay() || 7
     d.setUTCDate(d.getUTCDate() + 4 - dayNum)
@@ -126,11 +145,12 @@ export default class DateUtils {
     return !(year % 400) || (year % 100 && !(year % 4))
   }
 
-  // Returns today if it's FirstDayOfWeek (Monday or Sunday) or previous FirstDayOfWeek otherwise.
-  getPreviousFirstDayOfWeek (date = null, weekStartsOnSunday) {
+  // Returns today if it's FirstDayOfWeek or previous FirstDayOfWeek otherwise.
+  // The first day of the week is from 0 (Sunday) to 6 (Saturday), or true for Sunday and false for Monday.
+  getPreviousFirstDayOfWeek (date = null, firstDayOfWeek = 1) {
+    if (typeof firstDayOfWeek === 'boolean') firstDayOfWeek = firstDayOfWeek ? 0 : 1
     const prevFirstDayOfWeek = (date && new Date(date.valueOf())) || new Date()
-    const dayModifier = weekStartsOnSunday ? 7 : 6
-    prevFirstDayOfWeek.setDate(prevFirstDayOfWeek.getDate() - (prevFirstDayOfWeek.getDay() + dayModifier) % 7)
+    prevFirstDayOfWeek.setDate(prevFirstDayOfWeek.getDate() - (prevFirstDayOfWeek.getDay() - firstDayOfWeek + 7) % 7)
     return prevFirstDayOfWeek
   }
 
@@ -192,6 +212,260 @@ export default class DateUtils {
   }
   // ====================================================================
 
+  // TIME ZONES.
+  // ====================================================================
+  // Vue Cal works with Date objects which local date & time are the wall-clock time to display, but a
+  // wall-clock time may not exist in the browser's time zone (skipped by its own daylight saving change),
+  // and a wall-clock time may happen twice in the calendar time zone (when it falls back).
+  // So the times of the events in a day are also kept in minutes from the midnight of this day in the
+  // calendar time zone: the real length of the day, 23 or 25 hours on the daylight saving days.
+  // These minutes are computed from the instants (timestamps) here, independently of the browser's time zone.
+
+  /**
+   * Returns the offset in minutes between the given time zone and UTC at the given instant.
+   * E.g. `getTimezoneOffset(date, 'Europe/Paris')` = 60 in winter and 120 in summer.
+   * Note: this is the opposite sign of the native `Date.getTimezoneOffset()`.
+   *
+   * @param {Date} date the instant at which to get the offset (takes daylight saving into account).
+   * @param {String} timezone an IANA time zone name, e.g. `America/New_York`, or empty for the local time zone.
+   * @return {Number} the offset in minutes.
+   */
+  getTimezoneOffset (date, timezone) {
+    if (!timezone) return -date.getTimezoneOffset()
+
+    const [y, m, d, h, min, s] = this._getZonedParts(date.getTime(), timezone)
+    return Math.round((Date.UTC(y, m, d, h, min, s) - (date.getTime() - date.getMilliseconds())) / 60000)
+  }
+
+  /**
+   * Converts a wall-clock date & time from a time zone to another.
+   * Vue Cal works with Date objects which local date & time are the wall-clock time to display:
+   * the hours and minutes read from the returned Date are the ones in the destination time zone.
+   * An empty time zone is the browser's local time zone.
+   * Note: a wall-clock time skipped in the browser's time zone can't be a local Date, use getZonedTime()
+   * for the time in minutes.
+   *
+   * @param {Date} date the date which local date & time is the wall-clock time in `fromTimezone`.
+   * @param {String} fromTimezone the IANA time zone of the given date, or empty for the local time zone.
+   * @param {String} toTimezone the IANA time zone to convert to, or empty for the local time zone.
+   * @return {Date} a new Date which local date & time is the wall-clock time in `toTimezone`.
+   */
+  convertTimezone (date, fromTimezone, toTimezone) {
+    if ((fromTimezone || '') === (toTimezone || '')) return new Date(date.valueOf())
+
+    const timestamp = this._toTimestamp(date, fromTimezone)
+    // A local Date is the instant itself, which keeps the pass of a repeated hour.
+    return toTimezone ? new Date(...this._getZonedParts(timestamp, toTimezone)) : new Date(timestamp)
+  }
+
+  /**
+   * Converts a wall-clock date & time from a time zone to the day and the minutes from the midnight
+   * of this day in another time zone. Unlike the hours of a Date, these minutes are the real time
+   * elapsed since midnight, so the 2 passes of a repeated hour have different minutes.
+   *
+   * @param {Date | String} date the date which local date & time is the wall-clock time in `fromTimezone`,
+   *                              or a `YYYY-MM-DD HH:mm` string (the time is optional).
+   * @param {String} fromTimezone the IANA time zone of the given date, or empty for the local time zone.
+   * @param {String} toTimezone the IANA time zone to convert to, or empty for the local time zone.
+   * @return {Object} containing { date: {Date}, formattedDate: {String}, minutes: {Number} }: the same
+   *                  Date as convertTimezone(), the `YYYY-MM-DD` day and the minutes in this day.
+   */
+  getZonedTime (date, fromTimezone, toTimezone) {
+    const timestamp = this._toTimestamp(date, fromTimezone)
+    const parts = this._getZonedParts(timestamp, toTimezone)
+    const [y, m, d] = parts
+    const midnight = this._toTimestamp([y, m, d, 0, 0, 0, 0], toTimezone)
+
+    return {
+      date: toTimezone ? new Date(...parts) : new Date(timestamp),
+      formattedDate: `${y}-${m < 9 ? '0' : ''}${m + 1}-${d < 10 ? '0' : ''}${d}`,
+      minutes: Math.floor((timestamp - midnight) / 60000)
+    }
+  }
+
+  /**
+   * Converts minutes from the midnight of a day in a time zone to a Date which local date & time is the
+   * wall-clock time in another time zone. Unlike convertTimezone(), the second pass of a repeated hour is kept.
+   *
+   * @param {Date} date a date which local date is the day, and which seconds are kept.
+   * @param {Number} minutes the minutes from midnight. The end of the day (24:00) is 23:59:59.
+   * @param {String} fromTimezone the IANA time zone of the day, or empty for the local time zone.
+   * @param {String} toTimezone the IANA time zone to convert to, or empty for the local time zone.
+   * @return {Date} a new Date which local date & time is the wall-clock time in `toTimezone`.
+   */
+  convertDayMinutes (date, minutes, fromTimezone, toTimezone) {
+    const [y, m, d] = [date.getFullYear(), date.getMonth(), date.getDate()]
+    const timestamp = minutes >= this.getDayLength(date, fromTimezone)
+      ? this._toTimestamp([y, m, d + 1, 0, 0, 0, 0], fromTimezone) - 1000
+      : this._toTimestamp([y, m, d, 0, 0, 0, 0], fromTimezone) + Math.floor(minutes) * 60000 +
+        date.getSeconds() * 1000 + date.getMilliseconds()
+
+    return toTimezone ? new Date(...this._getZonedParts(timestamp, toTimezone)) : new Date(timestamp)
+  }
+
+  /**
+   * Returns the daylight saving change of a day in a time zone, if any.
+   *
+   * @param {Date} date a date which local date is the day to check.
+   * @param {String} timezone an IANA time zone name, or empty for the local time zone.
+   * @return {Object | null} containing { minutes: {Number}, shift: {Number} }: the change time in minutes
+   *                         from midnight, and the change of the clocks in minutes. E.g. in Paris,
+   *                         `{ minutes: 120, shift: 60 }` in spring (a 23-hour day: 02:00 becomes 03:00)
+   *                         and `{ minutes: 180, shift: -60 }` in autumn (a 25-hour day: 03:00 becomes 02:00).
+   */
+  getDstTransition (date, timezone) {
+    const [y, m, d] = [date.getFullYear(), date.getMonth(), date.getDate()]
+    const key = `${timezone}|${y}-${m}-${d}`
+    if (key in _dstTransitions) return _dstTransitions[key]
+
+    const start = this._toTimestamp([y, m, d, 0, 0, 0, 0], timezone)
+    const end = this._toTimestamp([y, m, d + 1, 0, 0, 0, 0], timezone)
+    let transition = null
+
+    if (end - start !== minutesInADay * 60000) {
+      const offsetAt = timestamp => this.getTimezoneOffset(new Date(timestamp), timezone)
+      const offsetBefore = offsetAt(start)
+      // Find the minute of the change by dichotomy.
+      let [before, after] = [start, end]
+      while (after - before > 60000) {
+        const middle = before + Math.floor((after - before) / 120000) * 60000
+        if (offsetAt(middle) === offsetBefore) before = middle
+        else after = middle
+      }
+      transition = { minutes: Math.round((after - start) / 60000), shift: offsetAt(after) - offsetBefore }
+    }
+
+    _dstTransitions[key] = transition
+    return transition
+  }
+
+  /**
+   * The length of a day in minutes in a time zone: 23 or 25 hours on the daylight saving days.
+   *
+   * @param {Date} date a date which local date is the day.
+   * @param {String} timezone an IANA time zone name, or empty for the local time zone.
+   * @return {Number} the number of minutes in the day.
+   */
+  getDayLength (date, timezone) {
+    const transition = this.getDstTransition(date, timezone)
+    return minutesInADay - (transition ? transition.shift : 0)
+  }
+
+  /**
+   * Converts a wall-clock time to the minutes from midnight of a day having the given daylight saving change.
+   * A time skipped by the change becomes the change time, and a repeated time is its first pass.
+   *
+   * @param {Number} minutes the wall-clock time in minutes.
+   * @param {Object | null} transition the daylight saving change of the day, from getDstTransition().
+   * @return {Number} the minutes from midnight.
+   */
+  wallClockToDayMinutes (minutes, transition) {
+    if (!transition || minutes < transition.minutes) return minutes
+    return Math.max(minutes - transition.shift, transition.minutes)
+  }
+
+  /**
+   * Converts minutes from midnight to the wall-clock time, on a day having the given daylight saving change.
+   *
+   * @param {Number} minutes the minutes from midnight.
+   * @param {Object | null} transition the daylight saving change of the day, from getDstTransition().
+   * @return {Number} the wall-clock time in minutes.
+   */
+  dayMinutesToWallClock (minutes, transition) {
+    return !transition || minutes < transition.minutes ? minutes : minutes + transition.shift
+  }
+
+  /**
+   * The minutes from midnight of a Date which local time is the wall-clock time in a time zone.
+   * 23:59:59 is the end of the day (24:00), like in setDayMinutes().
+   *
+   * @param {Date} date the date.
+   * @param {String} timezone the IANA time zone of the date, or empty for the local time zone.
+   * @return {Number} the minutes from midnight.
+   */
+  dateToDayMinutes (date, timezone) {
+    if (date.getHours() === 23 && date.getMinutes() === 59 && date.getSeconds() === 59) return this.getDayLength(date, timezone)
+    return this.wallClockToDayMinutes(this.dateToMinutes(date), this.getDstTransition(date, timezone))
+  }
+
+  /**
+   * Sets the time of a Date which local time is the wall-clock time in a time zone, from minutes
+   * from midnight. The end of the day (24:00) is set to 23:59:59 on the same day.
+   *
+   * @param {Date} date the date to modify.
+   * @param {Number} minutes the minutes from midnight.
+   * @param {String} timezone the IANA time zone of the date, or empty for the local time zone.
+   * @return {Date} the modified date.
+   */
+  setDayMinutes (date, minutes, timezone) {
+    const wallClock = this.dayMinutesToWallClock(minutes, this.getDstTransition(date, timezone))
+    date.setHours(0, wallClock, wallClock >= minutesInADay ? -1 : 0, 0)
+    return date
+  }
+
+  /**
+   * The date & time parts of an instant in a time zone.
+   *
+   * @param {Number} timestamp the instant.
+   * @param {String} timezone an IANA time zone name, or empty for the local time zone.
+   * @return {Array} the year, month index, day, hours, minutes, seconds and milliseconds.
+   */
+  _getZonedParts (timestamp, timezone) {
+    const date = new Date(timestamp)
+    if (!timezone) {
+      return [date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(),
+        date.getMinutes(), date.getSeconds(), date.getMilliseconds()]
+    }
+
+    if (!_timezoneFormatters[timezone]) {
+      _timezoneFormatters[timezone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      })
+    }
+
+    const parts = _timezoneFormatters[timezone].formatToParts(date).reduce((obj, part) => {
+      obj[part.type] = part.value * 1
+      return obj
+    }, {})
+    return [parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second, date.getMilliseconds()]
+  }
+
+  /**
+   * The instant of a wall-clock date & time in a time zone, computed in UTC so it does not depend on
+   * the browser's time zone. A time skipped by a daylight saving change is moved forward, and a repeated
+   * time is its first pass.
+   *
+   * @param {Date | String | Array} date a Date which local date & time is the wall-clock time, a
+   *                                     `YYYY-MM-DD HH:mm` string, or the parts of the date (year,
+   *                                     month index, day, hours, minutes, seconds, milliseconds).
+   * @param {String} timezone the IANA time zone of the date, or empty for the local time zone.
+   * @return {Number} the timestamp.
+   */
+  _toTimestamp (date, timezone) {
+    // Read a string without a local Date, which can't hold a time skipped in the browser's time zone.
+    if (typeof date === 'string') {
+      const [, y, m, d, h = 0, min = 0, s = 0] = date.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/) || []
+      date = y ? [y * 1, m - 1, d * 1, h * 1, min * 1, s * 1, 0] : this.stringToDate(date)
+    }
+    // A local Date is already an instant (and keeps the pass of a repeated hour).
+    if (!timezone) return date instanceof Date ? date.getTime() : new Date(...date).getTime()
+
+    const parts = date instanceof Date ? this._getZonedParts(date.getTime(), '') : date
+    // Read the wall-clock time as if it was UTC, then remove the offset of the time zone at that instant.
+    // The offset is checked twice as the first guess may be on the other side of a DST transition.
+    const wallClock = Date.UTC(...parts)
+    const timestamp = wallClock - this.getTimezoneOffset(new Date(wallClock), timezone) * 60000
+    return wallClock - this.getTimezoneOffset(new Date(timestamp), timezone) * 60000
+  }
+  // ====================================================================
+
   // FORMATTERS.
   // ====================================================================
   /**
@@ -202,12 +476,15 @@ export default class DateUtils {
    * @param {Object} texts Optional: the localized texts object to override the vue-cal one in this._texts.
    *                       This becomes useful when showing multiple instances with different languages,
    *                       like in the documentation page.
+   * @param {Object} calendar Optional: the calendar system utils of a vue-cal instance, to format the year,
+   *                          month and day in its calendar system instead of the Gregorian calendar.
    * @return {String} the formatted date.
    */
-  formatDate (date, format = 'YYYY-MM-DD', texts = null) {
+  formatDate (date, format = 'YYYY-MM-DD', texts = null, calendar = null) {
     if (!texts) texts = this._texts
     if (!format) format = 'YYYY-MM-DD' // Allows passing null for default format.
-    if (format === 'YYYY-MM-DD') return this.formatDateLite(date)
+    if (calendar && calendar.isGregorian) calendar = null
+    if (format === 'YYYY-MM-DD' && !calendar) return this.formatDateLite(date)
 
     // Reinit the date and time object on each function call.
     _dateObject = {}
@@ -215,20 +492,20 @@ export default class DateUtils {
 
     // Each keyword is a function to load the dateObject or timeObject on demand: no wasted resource.
     const dateObj = {
-      YYYY: () => this._hydrateDateObject(date, texts).YYYY,
-      YY: () => this._hydrateDateObject(date, texts).YY(),
-      M: () => this._hydrateDateObject(date, texts).M,
-      MM: () => this._hydrateDateObject(date, texts).MM(),
-      MMM: () => this._hydrateDateObject(date, texts).MMM(),
-      MMMM: () => this._hydrateDateObject(date, texts).MMMM(),
-      MMMMG: () => this._hydrateDateObject(date, texts).MMMMG(),
-      D: () => this._hydrateDateObject(date, texts).D,
-      DD: () => this._hydrateDateObject(date, texts).DD(),
-      S: () => this._hydrateDateObject(date, texts).S(),
-      d: () => this._hydrateDateObject(date, texts).d,
-      dd: () => this._hydrateDateObject(date, texts).dd(),
-      ddd: () => this._hydrateDateObject(date, texts).ddd(),
-      dddd: () => this._hydrateDateObject(date, texts).dddd(),
+      YYYY: () => this._hydrateDateObject(date, texts, calendar).YYYY,
+      YY: () => this._hydrateDateObject(date, texts, calendar).YY(),
+      M: () => this._hydrateDateObject(date, texts, calendar).M,
+      MM: () => this._hydrateDateObject(date, texts, calendar).MM(),
+      MMM: () => this._hydrateDateObject(date, texts, calendar).MMM(),
+      MMMM: () => this._hydrateDateObject(date, texts, calendar).MMMM(),
+      MMMMG: () => this._hydrateDateObject(date, texts, calendar).MMMMG(),
+      D: () => this._hydrateDateObject(date, texts, calendar).D,
+      DD: () => this._hydrateDateObject(date, texts, calendar).DD(),
+      S: () => this._hydrateDateObject(date, texts, calendar).S(),
+      d: () => this._hydrateDateObject(date, texts, calendar).d,
+      dd: () => this._hydrateDateObject(date, texts, calendar).dd(),
+      ddd: () => this._hydrateDateObject(date, texts, calendar).ddd(),
+      dddd: () => this._hydrateDateObject(date, texts, calendar).dddd(),
       HH: () => this._hydrateTimeObject(date, texts).HH,
       H: () => this._hydrateTimeObject(date, texts).H,
       hh: () => this._hydrateTimeObject(date, texts).hh,
@@ -298,7 +575,23 @@ export default class DateUtils {
     return `${(h < 10 ? '0' : '') + h}:${(m < 10 ? '0' : '') + m}`
   }
 
-  _nth (d) {
+  /**
+   * The ordinal suffix of a day of the month.
+   * If the texts contain `ordinals`: the suffixes by Intl.PluralRules ordinal category of the texts locale,
+   * like `{ one: 'st', two: 'nd', few: 'rd', other: 'th' }`. Otherwise the English suffixes.
+   *
+   * @param {Number} d the day of the month.
+   * @param {Object} texts the localized texts.
+   * @return {String} the suffix.
+   */
+  _nth (d, texts = {}) {
+    const { ordinals, locale } = texts
+    if (ordinals && locale && typeof Intl !== 'undefined' && Intl.PluralRules) {
+      if (!_ordinalRules[locale]) _ordinalRules[locale] = new Intl.PluralRules(locale, { type: 'ordinal' })
+      const suffix = ordinals[_ordinalRules[locale].select(d)]
+      return suffix === undefined ? (ordinals.other || '') : suffix
+    }
+
     if (d > 3 && d < 21) return 'th'
     switch (d % 10) {
       case 1: return 'st'
@@ -308,12 +601,12 @@ export default class DateUtils {
     }
   }
 
-  _hydrateDateObject (date, texts) {
+  _hydrateDateObject (date, texts, calendar = null) {
     if (_dateObject.D) return _dateObject
 
-    const YYYY = date.getFullYear()
-    const M = date.getMonth() + 1
-    const D = date.getDate()
+    const YYYY = calendar ? calendar.getYear(date) : date.getFullYear()
+    const M = (calendar ? calendar.getMonthIndex(date) : date.getMonth()) + 1
+    const D = calendar ? calendar.getDay(date) : date.getDate()
     const day = date.getDay() // Day of the week.
     const dayNumber = (day - 1 + 7) % 7 // Day of the week. 0 to 6 with 6 = Sunday.
     // Some of this props are functions, to only calculate on demand.
@@ -325,14 +618,15 @@ export default class DateUtils {
       // Month.
       M, // 1 to 12.
       MM: () => (M < 10 ? '0' : '') + M, // 01 to 12.
-      MMM: () => texts.months[M - 1].substring(0, 3), // Jan to Dec.
-      MMMM: () => texts.months[M - 1], // January to December.
-      MMMMG: () => (texts.monthsGenitive || texts.months)[M - 1], // January to December in genitive form (Greek...)
+      MMM: () => calendar ? calendar.getMonthName(date, texts, true) : texts.months[M - 1].substring(0, 3), // Jan to Dec.
+      MMMM: () => calendar ? calendar.getMonthName(date, texts) : texts.months[M - 1], // January to December.
+      // January to December in genitive form (Greek...)
+      MMMMG: () => calendar ? calendar.getMonthName(date, texts) : (texts.monthsGenitive || texts.months)[M - 1],
 
       // Day.
       D, // 1 to 31.
       DD: () => (D < 10 ? '0' : '') + D, // 01 to 31.
-      S: () => this._nth(D), // st, nd, rd, th.
+      S: () => this._nth(D, texts), // st, nd, rd, th.
 
       // Day of the week.
       d: dayNumber + 1, // 1 to 7 with 7 = Sunday.
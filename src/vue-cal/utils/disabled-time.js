@@ -0,0 +1,176 @@
+/**
+ * Disabled Time Utils.
+ * Disables time ranges from the `disableTimeRanges` option, where `disableDays` only disables whole days:
+ * - a datetime range `{ start, end }`, e.g. a maintenance window, possibly over several days,
+ * - a recurring time range `{ from, to, days }` in minutes, every day or on the given weekdays
+ *   from 1 (Monday) to 7 (Sunday), e.g. a lunch break.
+ * Each range can be limited to a day split with `split`, and can have a CSS `class`.
+ * The disabled time is greyed out in the cells, skipped by the keyboard navigation, does not emit
+ * `cell-click`, and the events can't be created, dropped or resized over it (checked with the conflicts,
+ * see utils/conflict.js).
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+const minutesInADay = 24 * 60
+
+export default class DisabledTimeUtils {
+  _vuecal = null
+
+  constructor (vuecal) {
+    this._vuecal = vuecal
+  }
+
+  get isEnabled () {
+    return !!this._vuecal.disabledTimeRanges.length
+  }
+
+  /**
+   * Convert the `disableTimeRanges` option into native dates and numbers, once for all the cells.
+   *
+   * @param {Array} ranges the ranges of the option.
+   * @return {Array} the valid ranges: { start, end } dates or { from, to, days } minutes,
+   *                 with { split, class }.
+   */
+  normalizeRanges = ranges => {
+    const { date: ud, dateAdapter } = this._vuecal.utils
+    const toDate = date => {
+      date = dateAdapter.toDate(date)
+      if (date && typeof date === 'string') date = ud.stringToDate(date)
+      return date instanceof Date && !isNaN(date) ? date : null
+    }
+
+    return ranges.map(range => {
+      const common = { split: range.split === undefined ? null : range.split, class: range.class || '' }
+
+      if (range.start || range.end) {
+        const start = toDate(range.start)
+        const end = toDate(range.end)
+        return start && end && start < end ? { ...common, start, end } : null
+      }
+
+      const from = Math.max(range.from * 1 || 0, 0)
+      const to = Math.min(range.to === undefined ? minutesInADay : range.to * 1, minutesInADay)
+      return from < to ? { ...common, from, to, days: range.days || null } : null
+    }).filter(range => range)
+  }
+
+  /**
+   * The disabled time of a day, to paint it in the cells.
+   *
+   * @param {Date} date the day.
+   * @param {Number|String} split the optional split id, to also get the ranges of this split.
+   * @return {Array} the disabled time [{ from, to, class }] in minutes from midnight.
+   */
+  getDisabledHours = (date, split = null) => {
+    if (!this.isEnabled) return []
+
+    const ud = this._vuecal.utils.date
+    const dayStart = new Date(date)
+    dayStart.setHours(0, 0, 0, 0)
+    const dayEnd = ud.addDays(dayStart, 1)
+    const weekday = dayStart.getDay() || 7 // Put Sunday at position 7 instead of 0.
+
+    return this._vuecal.disabledTimeRanges
+      .filter(range => range.split === null || range.split === split)
+      .map(range => {
+        if (!range.start) return !range.days || range.days.includes(weekday) ? range : null
+        if (range.start >= dayEnd || range.end <= dayStart) return null
+
+        return {
+          ...range,
+          from: range.start > dayStart ? ud.dateToMinutes(range.start) : 0,
+          to: range.end < dayEnd ? ud.dateToMinutes(range.end) : minutesInADay
+        }
+      })
+      .filter(range => range && range.from < range.to)
+      .map(range => ({ from: range.from, to: range.to, class: range.class }))
+  }
+
+  /**
+   * Tells whether a date and time is disabled.
+   *
+   * @param {Date} date the date and time.
+   * @param {Number|String} split the optional split id.
+   * @return {Boolean} true if disabled.
+   */
+  isTimeDisabled = (date, split = null) => {
+    const minutes = this._vuecal.utils.date.dateToMinutes(date)
+    return this.getDisabledHours(date, split).some(range => range.from <= minutes && minutes < range.to)
+  }
+
+  /**
+   * Tells whether a whole day is disabled, e.g. to disable its cell.
+   *
+   * @param {Date} date the day.
+   * @param {Number|String} split the optional split id.
+   * @return {Boolean} true if the disabled time covers the whole day.
+   */
+  isDayDisabled = (date, split = null) => {
+    let to = 0
+    this.getDisabledHours(date, split)
+      .sort((a, b) => a.from - b.from)
+      .forEach(range => {
+        if (range.from <= to) to = Math.max(to, range.to)
+      })
+
+    return to >= minutesInADay
+  }
+
+  /**
+   * Tells whether an event is over some disabled time.
+   * The all-day events (and the events of the views without time) are only disabled on the disabled days.
+   *
+   * @param {Object} event the event to check.
+   * @return {Boolean} true if the event is over some disabled time.
+   */
+  isEventDisabled = event => {
+    if (!this.isEnabled) return false
+
+    const ud = this._vuecal.utils.date
+    const { start, end, split } = event
+    const checkTime = !event.allDay && this._vuecal.time
+
+    const firstDay = new Date(start)
+    firstDay.setHours(0, 0, 0, 0)
+    for (let day = firstDay; day === firstDay || day < end; day = ud.addDays(day, 1)) {
+      if (!checkTime) {
+        if (this.isDayDisabled(day, split)) return true
+        continue
+      }
+
+      const disabled = this.getDisabledHours(day, split).some(range => {
+        const rangeStart = new Date(day)
+        rangeStart.setHours(0, range.from, 0, 0)
+        const rangeEnd = new Date(day)
+        rangeEnd.setHours(0, range.to, 0, 0)
+        return start < rangeEnd && end > rangeStart
+      })
+      if (disabled) return true
+    }
+
+    return false
+  }
+
+  /**
+   * The start of the first disabled time after a date, e.g. to stop resizing an event there.
+   *
+   * @param {Date} date the date and time.
+   * @param {Number|String} split the optional split id.
+   * @return {Date|null} the start of the next disabled time on the same day, or null if none.
+   */
+  getNextDisabledTime = (date, split = null) => {
+    const minutes = this._vuecal.utils.date.dateToMinutes(date)
+    const from = this.getDisabledHours(date, split)
+      .map(range => range.from)
+      .filter(from => from > minutes)
+      .sort((a, b) => a - b)[0]
+    if (from === undefined) return null
+
+    const nextDisabledTime = new Date(date)
+    nextDisabledTime.setHours(0, from, 0, 0)
+    return nextDisabledTime
+  }
+}
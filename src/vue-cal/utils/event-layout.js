@@ -0,0 +1,174 @@
+/**
+ * Event Layout Utils.
+ * Places the simultaneous events of a cell (or of a split) side by side, with a layout strategy:
+ * - `columns`: the simultaneous events share the width of the cell in equal columns.
+ * - `expand`: like `columns`, but each event expands to the right over the free columns (like Google Calendar).
+ * - `cascade`: the simultaneous events are staggered, each one overlapping the previous one.
+ * The number of columns can be capped with the `maxOverlapColumns` option: the events beyond the cap are
+ * hidden and counted in a "+N" indicator.
+ *
+ * The events are sorted once, then swept in chronological order to group the overlapping events into
+ * clusters, and each event takes the first free column of its cluster: an O(n log n) sort, then
+ * O(n × columns) for n events in the cell, the columns being the most simultaneous events of a cluster.
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+const layoutStrategies = ['columns', 'expand', 'cascade']
+
+// In the cascade layout, the left offset of each event from the previous one, in percent of the cell width,
+// and the maximum offset of the last event.
+const cascadeOffset = 15
+const cascadeMaxOffset = 60
+
+export default class EventLayoutUtils {
+  _vuecal = null
+
+  constructor (vuecal) {
+    this._vuecal = vuecal
+  }
+
+  /**
+   * Lay out the events of a cell, or of a split.
+   * The background and all-day events are not laid out: they always take the full width.
+   *
+   * @param {Array} events the events of the cell.
+   * @param {Object} options the vue-cal options: overlapLayout, maxOverlapColumns, minEventWidth,
+   *                         overlapsPerTimeStep and timeStep.
+   * @return {Object} containing { positions: {Object}, more: {Array} }:
+   *                  positions: the position of each event by _eid: { left, width } in percent, or { hidden: true }.
+   *                  more: the hidden events of each cluster: { events, left, width } with the position of the indicator.
+   */
+  layoutEvents = (events, options) => {
+    const positions = {}
+    const more = []
+    const strategy = layoutStrategies.includes(options.overlapLayout) ? options.overlapLayout : 'columns'
+
+    this._getClusters(events.filter(e => !e.background && !e.allDay), options).forEach(cluster => {
+      const maxColumns = options.maxOverlapColumns > 0 ? Math.floor(options.maxOverlapColumns) : Infinity
+      const columnsCount = Math.min(cluster.columns.length, maxColumns)
+
+      cluster.items.forEach(item => {
+        if (item.column >= columnsCount) positions[item.event._eid] = { hidden: true }
+        else if (strategy === 'cascade') positions[item.event._eid] = this._getCascadePosition(item, columnsCount)
+        else {
+          const span = strategy === 'expand' ? this._getSpan(item, cluster, columnsCount, options) : 1
+          positions[item.event._eid] = this._getColumnPosition(item.column, span, columnsCount, options.minEventWidth)
+        }
+      })
+
+      const hiddenItems = cluster.items.filter(item => item.column >= columnsCount)
+      if (hiddenItems.length) {
+        // The indicator is in the last visible column.
+        const { left, width } = strategy === 'cascade'
+          ? this._getCascadePosition({ column: columnsCount - 1 }, columnsCount)
+          : this._getColumnPosition(columnsCount - 1, 1, columnsCount, options.minEventWidth)
+        more.push({ events: hiddenItems.map(item => item.event), left, width })
+      }
+    })
+
+    return { positions, more }
+  }
+
+  /**
+   * Sort the events and sweep them in chronological order to group the overlapping ones into clusters.
+   * In a cluster, each event takes the first column where it does not overlap the previous event.
+   *
+   * @param {Array} events the events to lay out.
+   * @param {Object} options the vue-cal options.
+   * @return {Array} the clusters: { items: {Array}, columns: {Array} }, an item being { event, start, end, column }
+   *                 and a column being the array of its items.
+   */
+  _getClusters = (events, options) => {
+    const items = events.map(event => ({ event, start: event.start.getTime(), end: event.end.getTime(), column: 0 }))
+    // The longest event first when starting at the same time, then by id for a stable layout.
+    items.sort((a, b) => (a.start - b.start) || (b.end - a.end) || (a.event._eid > b.event._eid ? 1 : -1))
+
+    const clusters = []
+    let cluster = null
+    let clusterEnd = -Infinity
+    items.forEach(item => {
+      // The event starts after all the events of the current cluster: start a new cluster.
+      if (!cluster || item.start >= clusterEnd) {
+        cluster = { items: [], columns: [] }
+        clusters.push(cluster)
+      }
+      clusterEnd = Math.max(clusterEnd, item.end)
+
+      let column = cluster.columns.findIndex(columnItems => !this._overlap(columnItems[columnItems.length - 1], item, options))
+      if (column === -1) column = cluster.columns.push([]) - 1
+      cluster.columns[column].push(item)
+      item.column = column
+      cluster.items.push(item)
+    })
+
+    return clusters
+  }
+
+  /**
+   * Tells whether 2 events are simultaneous, and, with the `overlapsPerTimeStep` option,
+   * also start in the same time step.
+   *
+   * @param {Object} item1 the first event item.
+   * @param {Object} item2 the second event item.
+   * @param {Object} options the vue-cal options.
+   * @return {Boolean} true if the events overlap.
+   */
+  _overlap = (item1, item2, options) => {
+    const simultaneous = item1.start < item2.end && item2.start < item1.end
+    if (!simultaneous || !options.overlapsPerTimeStep) return simultaneous
+
+    return Math.abs(item1.start - item2.start) <= options.timeStep * 60 * 1000
+  }
+
+  /**
+   * The number of columns an event can cover in the expand layout: its own column and the next
+   * columns which have no event overlapping it.
+   *
+   * @param {Object} item the event item.
+   * @param {Object} cluster the cluster of the event.
+   * @param {Number} columnsCount the number of visible columns.
+   * @param {Object} options the vue-cal options.
+   * @return {Number} the number of columns.
+   */
+  _getSpan = (item, cluster, columnsCount, options) => {
+    let span = 1
+    for (let column = item.column + 1; column < columnsCount; column++) {
+      if (cluster.columns[column].some(item2 => this._overlap(item, item2, options))) break
+      span++
+    }
+    return span
+  }
+
+  /**
+   * The position of an event in equal columns.
+   * With the `minEventWidth` option, the narrower events are enlarged and partially overlap.
+   *
+   * @param {Number} column the column of the event.
+   * @param {Number} span the number of columns the event covers.
+   * @param {Number} columnsCount the number of visible columns.
+   * @param {Number} minEventWidth the minimum width of the events in percent, or 0.
+   * @return {Object} containing { left: {Number}, width: {Number} } in percent.
+   */
+  _getColumnPosition = (column, span, columnsCount, minEventWidth) => {
+    const width = 100 * span / columnsCount
+    if (!minEventWidth || width >= minEventWidth) return { left: 100 * column / columnsCount, width }
+
+    return { left: columnsCount > 1 ? column * (100 - minEventWidth) / (columnsCount - 1) : 0, width: minEventWidth }
+  }
+
+  /**
+   * The position of an event in the cascade layout.
+   *
+   * @param {Object} item the event item.
+   * @param {Number} columnsCount the number of visible columns.
+   * @return {Object} containing { left: {Number}, width: {Number} } in percent.
+   */
+  _getCascadePosition = ({ column }, columnsCount) => {
+    const offset = columnsCount > 1 ? Math.min(cascadeOffset, cascadeMaxOffset / (columnsCount - 1)) : 0
+    const left = column * offset
+    return { left, width: 100 - left }
+  }
+}
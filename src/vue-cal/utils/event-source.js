@@ -0,0 +1,213 @@
+/**
+ * Event Source Utils.
+ * Loads the events of the visible range from the `eventSource` function, only once per range,
+ * and prefetches the periods before and after so that `previous()` and `next()` show them right away.
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+let ud
+
+export default class EventSourceUtils {
+  _vuecal = null
+  // The loaded and loading ranges: [{ start: {Number}, end: {Number}, loaded: {Boolean}, promise, controller }].
+  _ranges = []
+  // The range of the current view: stale requests are cancelled when it changes.
+  _viewRange = null
+  // The keys of the loaded events, so an event loaded in overlapping ranges is only added once.
+  _eventKeys = new Set()
+  // The _eid of the loaded events.
+  _eids = new Set()
+
+  constructor (vuecal, dateUtils) {
+    this._vuecal = vuecal
+    ud = dateUtils
+  }
+
+  /**
+   * Load the events of the current view range if not already loaded, called on each view change.
+   * While loading, vue-cal `eventsLoading` is true. Once loaded, the adjacent periods are prefetched.
+   */
+  loadViewEvents = () => {
+    const vc = this._vuecal
+    if (typeof vc.eventSource !== 'function') return
+    // The years and year views don't show events (unless counting them).
+    if (vc.isYearsOrYearView && !vc.eventsCountOnYearView) {
+      vc.eventsLoading = false
+      return
+    }
+
+    const { startDate, endDate, firstCellDate, lastCellDate } = vc.view
+    const start = (firstCellDate || startDate).getTime()
+    const end = (lastCellDate || endDate).getTime()
+    if (this._viewRange && this._viewRange.start === start && this._viewRange.end === end) return
+
+    // Cancel the requests of the previous view which are not needed anymore.
+    this._ranges.filter(range => !range.loaded && range.view && (range.end < start || range.start > end))
+      .forEach(this._cancelRange)
+
+    const viewRange = this._viewRange = { start, end }
+    if (this._isRangeLoaded(start, end)) {
+      vc.eventsLoading = false
+      this._prefetch(viewRange)
+      return
+    }
+
+    vc.eventsLoading = true
+    const range = this._ranges.find(range => range.start <= start && range.end >= end) || this._loadRange(start, end, true)
+    range.promise.then(() => {
+      // The view changed while loading.
+      if (this._viewRange !== viewRange) return
+
+      vc.eventsLoading = false
+      if (range.loaded) this._prefetch(viewRange)
+    })
+  }
+
+  /**
+   * Forget all the loaded ranges and events, and load the events of the current view again.
+   */
+  reload = () => {
+    // The loaded events are recreated with new ids: the recorded changes can't apply to them anymore.
+    this._vuecal.utils.history.clear()
+    this._ranges.filter(range => !range.loaded).forEach(this._cancelRange)
+    this._ranges = []
+    this._viewRange = null
+    this._eventKeys.clear()
+    this._vuecal.mutableEvents = this._vuecal.mutableEvents.filter(event => !this.isSourceEvent(event))
+    this._eids.clear()
+    this._vuecal.addEventsToView()
+    this.loadViewEvents()
+  }
+
+  /**
+   * Tells whether an event was loaded from the event source.
+   *
+   * @param {Object} event a vue-cal event.
+   * @return {Boolean} true if loaded from the event source.
+   */
+  isSourceEvent = event => this._eids.has(event._eid)
+
+  /**
+   * Call the eventSource function for the given range, and add the returned events to vue-cal.
+   *
+   * @param {Number} start the range start timestamp.
+   * @param {Number} end the range end timestamp.
+   * @param {Boolean} view whether this range is loaded for the view (it can then be cancelled) or prefetched.
+   * @return {Object} the range.
+   */
+  _loadRange = (start, end, view = false) => {
+    const vc = this._vuecal
+    const controller = typeof AbortController === 'function' ? new AbortController() : null
+    const range = { start, end, view, loaded: false, cancelled: false, controller }
+
+    range.promise = Promise.resolve()
+      .then(() => vc.eventSource({
+        startDate: vc.utils.dateAdapter.fromDate(new Date(start)),
+        endDate: vc.utils.dateAdapter.fromDate(new Date(end)),
+        view: vc.view.id,
+        ...(controller ? { signal: controller.signal } : {})
+      }))
+      .then(events => {
+        // A stale request, cancelled while loading.
+        if (range.cancelled) return
+
+        range.loaded = true
+        this._addEvents(events || [])
+      })
+      .catch(error => {
+        if (range.cancelled) return
+
+        // Allow loading this range again later.
+        this._ranges = this._ranges.filter(item => item !== range)
+        // eslint-disable-next-line no-console
+        console.error('Vue Cal: the `eventSource` function failed to load the events.', error)
+      })
+
+    this._ranges.push(range)
+    return range
+  }
+
+  // Cancel a loading range: its events will be ignored, and the eventSource can abort the request from the signal.
+  _cancelRange = range => {
+    range.cancelled = true
+    if (range.controller) range.controller.abort()
+    this._ranges = this._ranges.filter(item => item !== range)
+  }
+
+  /**
+   * Load the periods before and after the given range, if not already loaded or loading.
+   * The periods are of the same number of days, so they cover what `previous()` and `next()` show.
+   *
+   * @param {Object} range the view range, containing { start: {Number}, end: {Number} }.
+   */
+  _prefetch = ({ start, end }) => {
+    const daysCount = ud.countDays(new Date(start), new Date(end))
+    const adjacentRanges = [
+      { start: ud.subtractDays(new Date(start), daysCount).getTime(), end: start - 1000 },
+      { start: end + 1000, end: ud.addDays(new Date(end), daysCount).getTime() }
+    ]
+
+    adjacentRanges.forEach(({ start, end }) => {
+      const loading = this._ranges.some(range => range.start <= start && range.end >= end)
+      if (!loading && !this._isRangeLoaded(start, end)) this._loadRange(start, end)
+    })
+  }
+
+  /**
+   * Tells whether the given range is covered by the loaded ranges.
+   *
+   * @param {Number} start the range start timestamp.
+   * @param {Number} end the range end timestamp.
+   * @return {Boolean} true if the whole range is loaded.
+   */
+  _isRangeLoaded = (start, end) => {
+    let loadedUntil = start - 1000
+    const ranges = this._ranges.filter(range => range.loaded).sort((a, b) => a.start - b.start)
+
+    for (const range of ranges) {
+      // There is a gap of more than a second between the loaded ranges.
+      if (range.start > loadedUntil + 1000) break
+      loadedUntil = Math.max(loadedUntil, range.end)
+    }
+
+    return loadedUntil >= end
+  }
+
+  /**
+   * Add the loaded events to vue-cal, except the ones already loaded from another range.
+   *
+   * @param {Array} events the events returned by the eventSource function, like in the `events` prop.
+   */
+  _addEvents = events => {
+    const vc = this._vuecal
+    const newEvents = events.filter(event => {
+      const key = this._getEventKey(event)
+      if (this._eventKeys.has(key)) return false
+
+      this._eventKeys.add(key)
+      return true
+    }).map(vc.prepareEvent)
+
+    if (!newEvents.length) return
+
+    newEvents.forEach(event => this._eids.add(event._eid))
+    vc.mutableEvents.push(...newEvents)
+    vc.addEventsToView()
+  }
+
+  /**
+   * The key of an event loaded from the event source: its `id` if any, or its dates, title and split.
+   *
+   * @param {Object} event an event returned by the eventSource function.
+   * @return {String} the key.
+   */
+  _getEventKey = event => {
+    if (event.id !== undefined) return `${event.id}`
+
+    const { start, end, title = '', split = '' } = this._vuecal.utils.dateAdapter.toEvent(event)
+    return [start, end, title, split].map(value => value instanceof Date ? value.getTime() : value).join('|')
+  }
+}
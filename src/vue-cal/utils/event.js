@@ -9,13 +9,9 @@
 import Vue from 'vue'
 
 const defaultEventDuration = 2 // In hours.
-const minutesInADay = 24 * 60 // Don't do the maths every time.
 
 let ud
 
-// Event overlaps: only for the current view, recreated on view change.
-let _cellOverlaps, _comparisonArray
-
 // This is an approximation, it will not work with DLS time.
 // const approxDayMilliseconds = minutesInADay * 60 * 1000
 // This is an approximate minimum we can get in a year. Purposely stay bellow 365 but close.
@@ -46,6 +42,7 @@ export default class EventUtils {
     dragging: false,
     draggingStatic: false, // Controls the CSS class of the static clone while dragging.
     focused: false,
+    selected: false, // With the eventsSelection option.
     class: ''
   }
 
@@ -58,23 +55,32 @@ export default class EventUtils {
    * Create an event at the given date and time, and allow overriding
    * event attributes through the eventOptions object.
    *
-   * @param {Date | String} dateTime The date and time of the new event start.
+   * @param {Date | String | Object} dateTime The date and time of the new event start, or a date of the `dateAdapter` library.
    * @param {Number} duration the event duration in minutes.
    * @param {Object} eventOptions some options to override the `eventDefaults` - optional.
+   * @param {Boolean} draft true to add a draft, e.g. to complete in the event editor: it is only emitted
+   *                        and recorded in the history once accepted (see acceptADraft()) - optional.
    */
-  createAnEvent (dateTime, duration, eventOptions) {
+  createAnEvent (dateTime, duration, eventOptions, draft = false) {
+    const { dateAdapter } = this._vuecal.utils
+    dateTime = dateAdapter.toDate(dateTime)
     if (typeof dateTime === 'string') dateTime = ud.stringToDate(dateTime)
     if (!(dateTime instanceof Date)) return false
 
-    const startTimeMinutes = ud.dateToMinutes(dateTime)
+    const { timezone } = this._vuecal
+    const startTimeMinutes = ud.dateToDayMinutes(dateTime, timezone)
     duration = duration * 1 || defaultEventDuration * 60
     const endTimeMinutes = startTimeMinutes + duration
-    const end = ud.addMinutes(new Date(dateTime), duration)
+    // In the day, from the minutes which are right on the daylight saving days.
+    const end = endTimeMinutes < ud.getDayLength(dateTime, timezone)
+      ? ud.setDayMinutes(new Date(dateTime), endTimeMinutes, timezone)
+      : ud.addMinutes(new Date(dateTime), duration)
 
     // Automatically add the required endTimeMinutes when passing an end.
     if (eventOptions.end) {
+      eventOptions.end = dateAdapter.toDate(eventOptions.end)
       if (typeof eventOptions.end === 'string') eventOptions.end = ud.stringToDate(eventOptions.end)
-      eventOptions.endTimeMinutes = ud.dateToMinutes(eventOptions.end)
+      eventOptions.endTimeMinutes = ud.dateToDayMinutes(eventOptions.end, timezone)
     }
 
     const event = {
@@ -95,25 +101,211 @@ export default class EventUtils {
       if (!this._vuecal.onEventCreate(event, () => this.deleteAnEvent(event))) return
     }
 
+    // Prevent the creation of an event overlapping another one if not allowed, or rejected by eventConstraint.
+    const conflict = this._vuecal.utils.conflict.check(event, 'create')
+    if (conflict) {
+      this._vuecal.utils.conflict.emitConflict(event, 'create', null, conflict)
+      return
+    }
+
     // Check if event is a multiple day event and update days count.
     if (event.startDateF !== event.endDateF) {
       event.daysCount = ud.countDays(event.start, event.end)
     }
 
     // Add event to the mutableEvents array.
+    if (!draft) {
+      this._vuecal.utils.history.begin()
+      this._vuecal.utils.history.touch(event)
+    }
     this._vuecal.mutableEvents.push(event)
 
     // Add the new event to the current view.
     // The event may have been edited on the fly to become a multiple-day event,
     // the method addEventsToView makes sure the segments are created.
     this._vuecal.addEventsToView([event])
+    if (draft) return event
+
+    this._vuecal.emitWithEvent('event-create', event)
+    this._vuecal.$emit('event-change', { event: this._vuecal.cleanupEvent(event), originalEvent: null })
+    this._vuecal.utils.history.commit('event-create')
+
+    return event
+  }
+
+  /**
+   * Move an event by a number of days and/or minutes, or change its end by a number of minutes.
+   * Used from the keyboard, this emits the same events as a drag & drop or a resize.
+   * The event stays within its day(s): the minutes are constrained between midnight and midnight.
+   *
+   * @param {Object} event the calendar event to move or resize.
+   * @param {Object} shift containing { days: {Number}, minutes: {Number}, resize: {Boolean} }.
+   * @return {Object} the changed event (the series if changing a whole recurring event).
+   */
+  shiftAnEvent (event, { days = 0, minutes = 0, resize = false }) {
+    const originalEvent = this._vuecal.cleanupEvent(event)
+    const { start: oldDate, end: oldEnd, startTimeMinutes: oldStartTimeMinutes, endTimeMinutes: oldEndTimeMinutes } = event
+    const { history, conflict: uc } = this._vuecal.utils
+    const { timezone } = this._vuecal
+    history.begin()
+    history.touch(event)
+
+    // The minutes from midnight are the real time elapsed, also on the daylight saving days,
+    // and ending at midnight is ending at 23:59:59 (see setDayMinutes()).
+    if (resize) {
+      // Keep the event at least as long as the step (if it already is).
+      const minEndTimeMinutes = (event.daysCount > 1 ? 0 : event.startTimeMinutes) + Math.abs(minutes)
+      const endTimeMinutes = Math.max(event.endTimeMinutes + minutes, Math.min(minEndTimeMinutes, event.endTimeMinutes))
+      event.endTimeMinutes = Math.min(endTimeMinutes, ud.getDayLength(event.end, timezone))
+      event.end = ud.setDayMinutes(new Date(event.end), event.endTimeMinutes, timezone)
+    }
+    else {
+      // Move the days first, keeping the wall-clock times, then the minutes within the days.
+      const start = ud.addDays(event.start, days)
+      const end = ud.addDays(event.end, days)
+      const startTimeMinutes = ud.dateToDayMinutes(start, timezone)
+      const endTimeMinutes = ud.dateToDayMinutes(end, timezone)
+      minutes = Math.min(Math.max(minutes, -startTimeMinutes), ud.getDayLength(end, timezone) - endTimeMinutes)
+      event.startTimeMinutes = startTimeMinutes + minutes
+      event.endTimeMinutes = endTimeMinutes + minutes
+      event.start = ud.setDayMinutes(start, event.startTimeMinutes, timezone)
+      event.end = ud.setDayMinutes(end, event.endTimeMinutes, timezone)
+    }
+
+    // Nothing changed, e.g. the event is already at the end of the day.
+    if (event.start.getTime() === oldDate.getTime() && event.end.getTime() === oldEnd.getTime()) {
+      history.commit()
+      return event
+    }
+
+    // The event can't overlap another one there, or the change is rejected by eventConstraint: move it back.
+    const conflict = uc.check(event, resize ? 'resize' : 'drop', originalEvent)
+    if (conflict) {
+      uc.emitConflict(event, resize ? 'resize' : 'drop', originalEvent, conflict)
+      Object.assign(event, { start: oldDate, end: oldEnd, startTimeMinutes: oldStartTimeMinutes, endTimeMinutes: oldEndTimeMinutes })
+      history.commit()
+      return event
+    }
+
+    // Commit the change on the occurrence of a recurring event or on its series.
+    let recurrence = null
+    if (event._occurrence) ({ event, recurrence } = this.commitOccurrenceChange(event))
+    // Recreate the segments of the multiple-day events and refresh the month view out of scope events.
+    if (!recurrence || recurrence.scope === 'occurrence') this._vuecal.addEventsToView()
+
+    const cleanEvent = this._vuecal.cleanupEvent(event)
+    const { fromDate } = this._vuecal.utils.dateAdapter
+    if (resize) {
+      this._vuecal.$emit('event-duration-change', {
+        event: cleanEvent,
+        oldDate: fromDate(oldEnd),
+        originalEvent,
+        ...(recurrence ? { recurrence } : {})
+      })
+    }
+    else {
+      this._vuecal.$emit('event-drop', {
+        event: cleanEvent,
+        oldDate: fromDate(oldDate),
+        newDate: fromDate(event.start),
+        originalEvent,
+        external: false,
+        ...(recurrence ? { recurrence } : {})
+      })
+    }
+    this._vuecal.$emit('event-change', { event: cleanEvent, originalEvent, ...(recurrence ? { recurrence } : {}) })
+    history.commit(resize ? 'event-duration-change' : 'event-drop')
+
+    return event
+  }
+
+  /**
+   * Apply the changes made in the event editor (`eventEditor` option) to an event, once accepted
+   * by the `beforeEventSave` hook. This emits `event-change`.
+   *
+   * @param {Object} event the calendar event to edit.
+   * @param {Object} changes the new attributes of the event, with native Dates in `start` and `end`.
+   * @return {Object} the changed event (the series if changing a whole recurring event).
+   */
+  editAnEvent (event, changes) {
+    const originalEvent = this._vuecal.cleanupEvent(event)
+    const { history } = this._vuecal.utils
+    history.begin()
+    history.touch(event)
+    this._applyEditorChanges(event, changes)
+
+    // Commit the change on the occurrence of a recurring event or on its series.
+    let recurrence = null
+    if (event._occurrence) {
+      ({ event, recurrence } = this.commitOccurrenceChange(event))
+      // Only the dates, title and split are applied to the series, also apply the other attributes.
+      if (recurrence.scope === 'series') {
+        const { start, end, ...attributes } = changes
+        Object.assign(event, attributes)
+      }
+    }
+    // Recreate the segments of the multiple-day events and the occurrences of the recurring events.
+    this._vuecal.addEventsToView()
+
+    const cleanEvent = this._vuecal.cleanupEvent(event)
+    this._vuecal.$emit('event-change', { event: cleanEvent, originalEvent, ...(recurrence ? { recurrence } : {}) })
+    history.commit('event-change')
+
+    return event
+  }
+
+  /**
+   * Accept a draft (see createAnEvent()) with the changes made in the event editor, once accepted
+   * by the `beforeEventSave` hook. Only now its creation is emitted and recorded in the history.
+   *
+   * @param {Object} event the draft event.
+   * @param {Object} changes the new attributes of the event, with native Dates in `start` and `end`.
+   * @return {Object} the created event.
+   */
+  acceptADraft (event, changes) {
+    const { history } = this._vuecal.utils
+    history.begin()
+    history.touch(event, true)
+    this._applyEditorChanges(event, changes)
+    this._vuecal.addEventsToView()
 
     this._vuecal.emitWithEvent('event-create', event)
     this._vuecal.$emit('event-change', { event: this._vuecal.cleanupEvent(event), originalEvent: null })
+    history.commit('event-create')
 
     return event
   }
 
+  /**
+   * Remove a draft (see createAnEvent()) which was not accepted. It was never emitted, so
+   * unlike deleteAnEvent() this emits nothing and records nothing in the history.
+   *
+   * @param {Object} event the draft event.
+   */
+  discardADraft (event) {
+    this._vuecal.mutableEvents = this._vuecal.mutableEvents.filter(e => e._eid !== event._eid)
+    this._vuecal.view.events = this._vuecal.view.events.filter(e => e._eid !== event._eid)
+  }
+
+  /**
+   * Apply the changes of the event editor to an event, and update its minutes and days count.
+   *
+   * @param {Object} event the calendar event to change.
+   * @param {Object} changes the new attributes of the event, with native Dates in `start` and `end`.
+   */
+  _applyEditorChanges (event, changes) {
+    const { start, end } = changes
+    const { timezone } = this._vuecal
+    // Ending at 23:59:59 is ending at midnight (see dateToDayMinutes()).
+    Object.assign(event, changes, {
+      startTimeMinutes: ud.dateToDayMinutes(start, timezone),
+      endTimeMinutes: ud.dateToDayMinutes(end, timezone),
+      daysCount: ud.countDays(start, end)
+    })
+    // The segments are created in addEventsToView().
+    event.segments = event.daysCount > 1 ? {} : null
+  }
+
   /**
    * Add an event segment (= day) to a multiple-day event.
    *
@@ -127,7 +319,7 @@ export default class EventUtils {
       Vue.set(e.segments, ud.formatDateLite(e.start), {
         start: e.start,
         startTimeMinutes: e.startTimeMinutes,
-        endTimeMinutes: minutesInADay,
+        endTimeMinutes: ud.getDayLength(e.start, this._vuecal.timezone),
         isFirstDay: true,
         isLastDay: false
       })
@@ -138,7 +330,7 @@ export default class EventUtils {
     // previousSegment might not exist when dragging too fast, prevent errors.
     if (previousSegment) {
       previousSegment.isLastDay = false
-      previousSegment.endTimeMinutes = minutesInADay
+      previousSegment.endTimeMinutes = ud.getDayLength(e.end, this._vuecal.timezone)
     }
     else {
       // @todo: when moving fast might lose the previousSegment.
@@ -157,7 +349,7 @@ export default class EventUtils {
       isLastDay: true
     })
 
-    e.end = ud.addMinutes(start, e.endTimeMinutes)
+    e.end = ud.setDayMinutes(new Date(start), e.endTimeMinutes, this._vuecal.timezone)
     e.daysCount = Object.keys(e.segments).length
 
     return formattedDate
@@ -213,10 +405,8 @@ export default class EventUtils {
   createEventSegments (e, viewStartDate, viewEndDate) {
     const viewStartTimestamp = viewStartDate.getTime()
     const viewEndTimestamp = viewEndDate.getTime()
-    let eventStart = e.start.getTime()
+    const eventStart = e.start.getTime()
     let eventEnd = e.end.getTime()
-    let repeatedEventStartFound = false
-    let timestamp, end, eventStartAtMidnight
 
     // @todo: I don't think we still need that:
     // Removing 1 sec when ending at 00:00, so that we don't create a segment for nothing on last day.
@@ -225,182 +415,379 @@ export default class EventUtils {
     Vue.set(e, 'segments', {})
 
     // The goal is to create 1 segment per day in the event, but only within the current view.
-    if (!e.repeat) { // Simple case first.
-      timestamp = Math.max(viewStartTimestamp, eventStart)
-      end = Math.min(viewEndTimestamp, eventEnd)
-    }
-    else {
-      // Start at the beginning of the range, and end at soonest between `repeat.until` if any or range end.
-      // This range will most likely be too large (e.g. whole week) and we need to narrow it
-      // down in the while loop bellow.
-      // We must not create unused segments, it would break the render or result in weird behaviors.
-      timestamp = viewStartTimestamp
-      end = Math.min(
-        viewEndTimestamp,
-        e.repeat.until ? ud.stringToDate(e.repeat.until).getTime() : viewEndTimestamp
-      )
-    }
+    // Note: occurrences of recurring events are already expanded to simple events at this point.
+    let timestamp = Math.max(viewStartTimestamp, eventStart)
+    const end = Math.min(viewEndTimestamp, eventEnd)
 
     while (timestamp <= end) {
-      let createSegment = false
       // Be careful not to simply add 24 hours!
       // In case of DLS, that would cause the event to never end and browser to hang.
       // So use `addDays(1)` instead.
       const nextMidnight = ud.addDays(new Date(timestamp), 1).setHours(0, 0, 0, 0)
-      let isFirstDay, isLastDay, start, formattedDate
-
-      if (e.repeat) {
-        const tmpDate = new Date(timestamp)
-        const tmpDateFormatted = ud.formatDateLite(tmpDate)
-        // If the current day in loop is a known date of the repeated event (in `e.occurrences`),
-        // then we found the first day of the event repetition, now update the `eventStart` and
-        // the end of the loop at current day + event days count.
-        if (repeatedEventStartFound || (e.occurrences && e.occurrences[tmpDateFormatted])) {
-          if (!repeatedEventStartFound) {
-            eventStart = e.occurrences[tmpDateFormatted].start
-            eventStartAtMidnight = new Date(eventStart).setHours(0, 0, 0, 0)
-            eventEnd = e.occurrences[tmpDateFormatted].end
-          }
-          repeatedEventStartFound = true
-          createSegment = true
+      const isFirstDay = timestamp === eventStart
+      const isLastDay = end === eventEnd && nextMidnight > end
+      const start = isFirstDay ? e.start : new Date(timestamp)
+      const formattedDate = ud.formatDateLite(start)
+
+      Vue.set(e.segments, formattedDate, {
+        start,
+        startTimeMinutes: isFirstDay ? e.startTimeMinutes : 0,
+        endTimeMinutes: isLastDay ? e.endTimeMinutes : ud.getDayLength(start, this._vuecal.timezone),
+        isFirstDay,
+        isLastDay
+      })
+
+      timestamp = nextMidnight
+    }
+
+    return e
+  }
+
+  // RECURRING EVENTS.
+  // ===================================================================
+  /**
+   * Create the occurrences of a recurring event (an event with a `repeat` rule), but only
+   * within the given date range.
+   * The occurrences are never stored in the mutableEvents array: only the series is.
+   * They are recreated on each view change, so only the visible ones are ever computed.
+   *
+   * @param {Object} e the recurring event (the series).
+   * @param {Date} rangeStart the start of the range to create occurrences in.
+   * @param {Date} rangeEnd the end of the range to create occurrences in.
+   * @return {Array} the occurrences, each being a simple (non-recurring) event.
+   */
+  createEventOccurrences (e, rangeStart, rangeEnd) {
+    const occurrences = []
+    // The number of days each occurrence spans onto after its first day.
+    const extraDays = e.daysCount - 1
+    const timezone = this._vuecal.timezone
+    // An event with its own time zone keeps the same time in its time zone, which may change in the
+    // calendar time zone when only one of the 2 time zones switches to or from daylight saving time.
+    const zoned = e.timezone && !e.allDay && e.timezone !== timezone
+    const zonedStart = zoned && ud.convertDayMinutes(e.start, e.startTimeMinutes, timezone, e.timezone)
+    const zonedEnd = zoned && ud.convertDayMinutes(e.end, e.endTimeMinutes, timezone, e.timezone)
+    const seriesDate = ud.formatDateLite(e.start)
+
+    this._getOccurrenceDates(e, rangeStart, rangeEnd).forEach(date => {
+      const formattedDate = ud.formatDateLite(date)
+      let start = new Date(date)
+      start.setHours(e.start.getHours(), e.start.getMinutes(), 0, 0)
+      // Add days then set the time, so the occurrence end stays correct across DST changes.
+      let end = ud.addDays(date, extraDays)
+      end.setHours(e.end.getHours(), e.end.getMinutes(), e.end.getSeconds(), 0)
+      // The same wall-clock time is not the same minutes from midnight on the daylight saving days.
+      let timeProps = formattedDate === seriesDate ? {} : {
+        startTimeMinutes: ud.dateToDayMinutes(start, timezone),
+        endTimeMinutes: ud.dateToDayMinutes(end, timezone)
+      }
+
+      if (zoned) {
+        const days = ud.countDays(e.start, date) - 1
+        const zonedStartTime = ud.getZonedTime(ud.addDays(zonedStart, days), e.timezone, timezone)
+        const zonedEndTime = ud.getZonedTime(ud.addDays(zonedEnd, days), e.timezone, timezone)
+        start = zonedStartTime.date
+        end = zonedEndTime.date
+        timeProps = {
+          startTimeMinutes: zonedStartTime.minutes,
+          endTimeMinutes: zonedEndTime.minutes || ud.getDayLength(end, timezone),
+          daysCount: ud.countDays(start, end)
         }
+      }
+
+      const occurrence = {
+        ...e,
+        ...timeProps,
+        // Keep a predictable id so an occurrence is the same from one view to another.
+        _eid: `${e._eid}_${formattedDate}`,
+        start,
+        end,
+        segments: (zoned ? timeProps.daysCount > 1 : extraDays) ? {} : null,
+        // Link the occurrence to its series.
+        _occurrence: { series: e._eid, date: formattedDate }
+      }
+
+      if (this.eventInRange(occurrence, rangeStart, rangeEnd)) occurrences.push(occurrence)
+    })
+
+    return occurrences
+  }
 
-        isFirstDay = timestamp === eventStartAtMidnight
-        isLastDay = tmpDateFormatted === ud.formatDateLite(new Date(eventEnd))
-        start = new Date(isFirstDay ? eventStart : timestamp)
-        formattedDate = ud.formatDateLite(start)
-        // We want to find any potential other repetition of event in same range.
-        if (isLastDay) repeatedEventStartFound = false
+  /**
+   * Get the list of dates (at midnight) at which a recurring event occurs, in the given range.
+   * The first occurrence is always the event start, even if it does not match the rule.
+   * The exceptions are counted in `repeat.count` but not returned.
+   *
+   * @param {Object} e the recurring event (the series).
+   * @param {Date} rangeStart the start of the range.
+   * @param {Date} rangeEnd the end of the range.
+   * @return {Array} an array of Date objects at midnight.
+   */
+  _getOccurrenceDates (e, rangeStart, rangeEnd) {
+    const { every, count, until, exceptions = [] } = e.repeat
+    let { weekdays = [] } = e.repeat
+    const interval = Math.max(parseInt(e.repeat.interval) || 1, 1)
+    const seriesStart = new Date(e.start).setHours(0, 0, 0, 0)
+    // An occurrence that started before the range may still be visible in it if multiple-day.
+    const fromTimestamp = ud.subtractDays(rangeStart, e.daysCount - 1).setHours(0, 0, 0, 0)
+    let toTimestamp = rangeEnd.getTime()
+    if (until) toTimestamp = Math.min(toTimestamp, new Date(ud.stringToDate(until)).setHours(23, 59, 59, 0))
+
+    // `every` accepts a number of days, otherwise a `weekdays` array alone means every week.
+    let frequency = every
+    let step = interval
+    if (parseInt(every) > 0) [frequency, step] = ['day', parseInt(every)]
+    if (!frequency && weekdays.length) frequency = 'week'
+    if (!['day', 'week', 'month', 'year'].includes(frequency)) return []
+    weekdays = weekdays.length ? weekdays.map(day => day * 1).sort((a, b) => a - b) : [e.start.getDay() || 7]
+
+    const exceptionTimestamps = exceptions.map(date => new Date(ud.stringToDate(date)).setHours(0, 0, 0, 0))
+    const dates = []
+    let occurrencesCount = 0
+    let firstDateFound = false
+
+    // Returns false when the end of the series is reached.
+    const pushDate = timestamp => {
+      if ((count && occurrencesCount >= count) || timestamp > toTimestamp) return false
+      occurrencesCount++
+      if (timestamp >= fromTimestamp && !exceptionTimestamps.includes(timestamp)) dates.push(new Date(timestamp))
+      return true
+    }
+    const addDate = date => {
+      const timestamp = date.getTime()
+      if (timestamp < seriesStart) return true
+
+      // The series start is always the first occurrence, even if it does not match the rule.
+      if (!firstDateFound) {
+        firstDateFound = true
+        if (timestamp !== seriesStart && !pushDate(seriesStart)) return false
       }
-      else {
-        createSegment = true
-        isFirstDay = timestamp === eventStart
-        isLastDay = end === eventEnd && nextMidnight > end
-        start = isFirstDay ? e.start : new Date(timestamp)
-        formattedDate = ud.formatDateLite(isFirstDay ? e.start : start)
+      else if (timestamp === seriesStart) return true
+
+      return pushDate(timestamp)
+    }
+
+    // Without count, there is no need to loop through the periods before the range: skip them.
+    let period = 0
+    if (!count && ['day', 'week'].includes(frequency)) {
+      const daysInPeriod = frequency === 'week' ? 7 * step : step
+      period = Math.max(Math.floor(((fromTimestamp - seriesStart) / (24 * 3600 * 1000)) / daysInPeriod) - 1, 0)
+    }
+
+    // Loop through each period (day, week, month or year) of the series and add the matching dates.
+    const seriesStartDate = new Date(seriesStart)
+    const firstDayOfWeek = ud.getPreviousFirstDayOfWeek(seriesStartDate, false)
+    let keepGoing = true
+    while (keepGoing) {
+      let periodDates = []
+      switch (frequency) {
+        case 'day':
+          periodDates = [ud.addDays(seriesStartDate, period * step)]
+          break
+        case 'week': {
+          const weekStart = ud.addDays(firstDayOfWeek, period * step * 7)
+          periodDates = weekdays.map(day => ud.addDays(weekStart, day - 1))
+          break
+        }
+        case 'month':
+          periodDates = [this._getMonthlyOccurrenceDate(e, seriesStartDate, period * step)]
+          break
+        case 'year': {
+          const date = new Date(seriesStartDate.getFullYear() + period * step, seriesStartDate.getMonth(), seriesStartDate.getDate())
+          // Skip the years without the date (E.g. 29th of February).
+          periodDates = [date.getMonth() === seriesStartDate.getMonth() ? date : null]
+          break
+        }
       }
 
-      if (createSegment) {
-        Vue.set(e.segments, formattedDate, {
-          start,
-          startTimeMinutes: isFirstDay ? e.startTimeMinutes : 0,
-          endTimeMinutes: isLastDay ? e.endTimeMinutes : minutesInADay,
-          isFirstDay,
-          isLastDay
-        })
+      // Stop as soon as the period starts after the range, even if no date matched in this period.
+      const periodStart = periodDates.filter(date => date)[0]
+      if (periodStart && periodStart.getTime() > toTimestamp) break
+
+      for (const date of periodDates) {
+        if (date && !(keepGoing = addDate(date))) break
       }
 
-      timestamp = nextMidnight
+      // Security: with a count but no date matching the rule (e.g. 31st of every 2nd month in some
+      // edge cases) prevent an infinite loop.
+      if (period++ > 100000) break
     }
 
-    return e
+    return dates
   }
 
   /**
-   * Delete an event.
+   * Get the date of a monthly occurrence, either on the same date of the month as the series start,
+   * or on the same nth weekday of the month (e.g. 2nd Tuesday) if `repeat.nthWeekday` is set.
    *
-   * @param {Object} event the calendar event to delete.
+   * @param {Object} e the recurring event (the series).
+   * @param {Date} seriesStart the series start date at midnight.
+   * @param {Number} monthsFromStart the number of months from the series start.
+   * @return {Date | null} the occurrence date, or null if there is none in this month (e.g. 31st).
    */
-  deleteAnEvent (event) {
-    this._vuecal.emitWithEvent('event-delete', event)
+  _getMonthlyOccurrenceDate (e, seriesStart, monthsFromStart) {
+    const year = seriesStart.getFullYear()
+    const month = seriesStart.getMonth() + monthsFromStart
+    const { nthWeekday } = e.repeat
+
+    if (!nthWeekday) {
+      const date = new Date(year, month, seriesStart.getDate())
+      // Skip the months without this date (E.g. 31st).
+      return date.getDate() === seriesStart.getDate() ? date : null
+    }
 
-    // Delete the event globally.
-    this._vuecal.mutableEvents = this._vuecal.mutableEvents.filter(e => e._eid !== event._eid)
-    // Delete the event from the current view.
-    // checkCellOverlappingEvents() will be re-run automatically from the cell computed events.
-    this._vuecal.view.events = this._vuecal.view.events.filter(e => e._eid !== event._eid)
+    const weekday = seriesStart.getDay()
+    let date
+    if (nthWeekday < 0) { // Last weekday of the month.
+      date = new Date(year, month + 1, 0)
+      date.setDate(date.getDate() - (date.getDay() - weekday + 7) % 7)
+    }
+    else {
+      date = new Date(year, month, 1)
+      date.setDate(1 + (weekday - date.getDay() + 7) % 7 + (nthWeekday - 1) * 7)
+    }
+
+    // Skip the months without a 5th weekday.
+    return date.getMonth() === new Date(year, month, 1).getMonth() ? date : null
   }
 
-  // EVENT OVERLAPS.
+  /**
+   * Tells whether a change on an occurrence (drop, resize, title edit) should only apply to this
+   * occurrence or to the whole series, according to the `recurrenceEditMode` option.
+   *
+   * @param {Object} occurrence the occurrence being changed.
+   * @return {String} `occurrence` or `series`.
+   */
+  _getRecurrenceScope (occurrence) {
+    let mode = this._vuecal.recurrenceEditMode
+    if (typeof mode === 'function') mode = mode(this._vuecal.cleanupEvent(occurrence))
+    return mode === 'series' ? 'series' : 'occurrence'
+  }
+
+  /**
+   * Once an occurrence of a recurring event has been modified in place (drop, resize, title edit),
+   * commit the change either:
+   * - on this occurrence only: the occurrence becomes a simple event and its date is added to the
+   *   series exceptions,
+   * - on the whole series: the same change is applied to the series then all its occurrences
+   *   are recreated.
+   *
+   * @param {Object} occurrence the modified occurrence.
+   * @return {Object} containing { event: {Object}, recurrence: {Object} }:
+   *                  the changed event (detached occurrence or series) and the recurrence info to emit.
+   */
+  commitOccurrenceChange (occurrence) {
+    const { mutableEvents } = this._vuecal
+    this._vuecal.utils.history.touch(occurrence)
+    const { series: seriesEid, date } = occurrence._occurrence
+    const series = mutableEvents.find(e => e._eid === seriesEid)
+    // The series may not be loaded anymore, in this case only the occurrence can change.
+    const scope = series ? this._getRecurrenceScope(occurrence) : 'occurrence'
+    const recurrence = {
+      scope,
+      date: this._vuecal.utils.dateAdapter.fromDate(ud.stringToDate(date)),
+      series: series ? this._vuecal.cleanupEvent(series) : null
+    }
+
+    if (scope === 'occurrence') {
+      if (series) this._addRecurrenceException(series, date)
+
+      // Detach the occurrence from the series: it is now a simple event.
+      occurrence._occurrence = null
+      occurrence.repeat = null
+      if (!mutableEvents.some(e => e._eid === occurrence._eid)) mutableEvents.push(occurrence)
+
+      return { event: occurrence, recurrence }
+    }
+
+    // Apply the same shift on the series start, and the same duration to its end.
+    const originalStart = ud.stringToDate(date)
+    const newStart = new Date(occurrence.start).setHours(0, 0, 0, 0)
+    const shiftDays = Math.round((newStart - originalStart.getTime()) / (24 * 3600 * 1000))
+    const daysCount = ud.countDays(occurrence.start, occurrence.end)
+
+    series.start = ud.addDays(series.start, shiftDays)
+    series.start.setHours(occurrence.start.getHours(), occurrence.start.getMinutes(), 0, 0)
+    series.end = ud.addDays(series.start, daysCount - 1)
+    series.end.setHours(occurrence.end.getHours(), occurrence.end.getMinutes(), occurrence.end.getSeconds(), 0)
+    series.startTimeMinutes = occurrence.startTimeMinutes
+    series.endTimeMinutes = occurrence.endTimeMinutes
+    series.daysCount = daysCount
+    series.title = occurrence.title
+    if (occurrence.split !== undefined) series.split = occurrence.split
+
+    // The occurrence may have been recreated in the mutableEvents array when dropped in another view.
+    this._vuecal.mutableEvents = mutableEvents.filter(e => e._eid !== occurrence._eid)
+    // Recreate all the occurrences of the view.
+    this._vuecal.addEventsToView()
+
+    return { event: series, recurrence }
+  }
+
+  /**
+   * Exclude a date from a recurring event series.
+   * The repeat object is copied so the original one given in the `events` prop stays untouched.
+   *
+   * @param {Object} series the recurring event.
+   * @param {String} date the formatted date (`YYYY-MM-DD`) to exclude.
+   */
+  _addRecurrenceException (series, date) {
+    series.repeat = { ...series.repeat, exceptions: [...(series.repeat.exceptions || []), date] }
+  }
   // ===================================================================
-  // Will recalculate all the overlaps of the current cell OR split.
-  // cellEvents will contain only the current split events if in a split.
-  checkCellOverlappingEvents (cellEvents, options) {
-    _comparisonArray = cellEvents.slice(0)
-    _cellOverlaps = {}
-
-    // Can't filter background events before calling this function otherwise
-    // when an event is changed to background it would not update its previous overlaps.
-    cellEvents.forEach(e => {
-      // For performance, never compare the current event in the next loops.
-      // The array is smaller and smaller as we loop.
-      _comparisonArray.shift()
-
-      if (!_cellOverlaps[e._eid]) Vue.set(_cellOverlaps, e._eid, { overlaps: [], start: e.start, position: 0 })
-      _cellOverlaps[e._eid].position = 0
-
-      _comparisonArray.forEach(e2 => {
-        if (!_cellOverlaps[e2._eid]) Vue.set(_cellOverlaps, e2._eid, { overlaps: [], start: e2.start, position: 0 })
-
-        const eventIsInRange = this.eventInRange(e2, e.start, e.end)
-        const eventsInSameTimeStep = options.overlapsPerTimeStep ? ud.datesInSameTimeStep(e.start, e2.start, options.timeStep) : 1
-        // Add to the overlaps array if overlapping.
-        if (!e.background && !e.allDay && !e2.background && !e2.allDay && eventIsInRange && eventsInSameTimeStep) {
-          _cellOverlaps[e._eid].overlaps.push(e2._eid)
-          _cellOverlaps[e._eid].overlaps = [...new Set(_cellOverlaps[e._eid].overlaps)] // Dedupe, most performant way.
-
-          _cellOverlaps[e2._eid].overlaps.push(e._eid)
-          _cellOverlaps[e2._eid].overlaps = [...new Set(_cellOverlaps[e2._eid].overlaps)] // Dedupe, most performant way.
-          _cellOverlaps[e2._eid].position++
-        }
-        // Remove from the overlaps array if not overlapping or if 1 of the 2 events is background or all-day long.
-        else {
-          let pos1, pos2
-          if ((pos1 = (_cellOverlaps[e._eid] || { overlaps: [] }).overlaps.indexOf(e2._eid)) > -1) _cellOverlaps[e._eid].overlaps.splice(pos1, 1)
-          if ((pos2 = (_cellOverlaps[e2._eid] || { overlaps: [] }).overlaps.indexOf(e._eid)) > -1) _cellOverlaps[e2._eid].overlaps.splice(pos2, 1)
-          _cellOverlaps[e2._eid].position--
-        }
-      })
-    })
 
-    // Overlaps streak is the longest horizontal set of simultaneous events.
-    // This is determining the width of events in a streak.
-    // e.g. 3 overlapping events in a cell:
-    //  ___   ___
-    // | 1 | |_2_|  1 overlaps 2 & 3; 2 & 3 don't overlap;
-    // |   |  ___   => streak = 2; each width = 50% not 33%.
-    // |___| |_3_|
-    let longestStreak = 0
-    for (const id in _cellOverlaps) {
-      const item = _cellOverlaps[id]
+  /**
+   * Delete an event.
+   *
+   * @param {Object} event the calendar event to delete.
+   */
+  deleteAnEvent (event) {
+    this._vuecal.utils.history.begin()
+    this._vuecal.utils.history.touch(event)
 
-      // Calculate the position of each event in current streak (determines the CSS left property).
-      const overlapsRow = item.overlaps.map(id2 => ({ id: id2, start: _cellOverlaps[id2].start }))
-      overlapsRow.push({ id, start: item.start })
-      overlapsRow.sort((a, b) => a.start < b.start ? -1 : (a.start > b.start ? 1 : (a.id > b.id ? -1 : 1)))
-      item.position = overlapsRow.findIndex(e => e.id === id)
+    // Deleting an occurrence of a recurring event either excludes its date from the series,
+    // or deletes the whole series.
+    if (event._occurrence) this._deleteAnOccurrence(event)
+    else {
+      this._vuecal.emitWithEvent('event-delete', event)
 
-      longestStreak = Math.max(this.getOverlapsStreak(item, _cellOverlaps), longestStreak)
+      // Delete the event globally.
+      this._vuecal.mutableEvents = this._vuecal.mutableEvents.filter(e => e._eid !== event._eid)
+      // Delete the event from the current view.
+      // The events layout will be re-run automatically from the cell computed events.
+      this._vuecal.view.events = this._vuecal.view.events.filter(e => e._eid !== event._eid)
     }
+    this._vuecal.utils.selection.unselect(event)
 
-    return [_cellOverlaps, longestStreak]
+    this._vuecal.utils.history.commit('event-delete')
   }
 
   /**
-   * Overlaps streak is the longest horizontal set of simultaneous events.
-   * This is determining the width of each events in this streak.
-   * E.g. 3 overlapping events [1, 2, 3]; 1 overlaps 2 & 3; 2 & 3 don't overlap;
-   *      => streak = 2; each width = 50% not 33%.
+   * Delete an occurrence of a recurring event, or its whole series, according to
+   * the `recurrenceEditMode` option.
    *
-   * @param {Object} event The current event we are checking among all the events of the current cell.
-   * @param {Object} cellOverlaps An indexed array of all the events overlaps for the current cell.
-   * @return {Number} The number of simultaneous event for this event.
+   * @param {Object} occurrence the occurrence to delete.
    */
-  getOverlapsStreak (event, cellOverlaps = {}) {
-    let streak = event.overlaps.length + 1
-    let removeFromStreak = []
-    event.overlaps.forEach(id => {
-      if (!removeFromStreak.includes(id)) {
-        const overlapsWithoutSelf = event.overlaps.filter(id2 => id2 !== id)
-        overlapsWithoutSelf.forEach(id3 => {
-          if (!cellOverlaps[id3].overlaps.includes(id)) removeFromStreak.push(id3)
-        })
-      }
-    })
+  _deleteAnOccurrence (occurrence) {
+    const { series: seriesEid, date } = occurrence._occurrence
+    const series = this._vuecal.mutableEvents.find(e => e._eid === seriesEid)
+    const scope = series ? this._getRecurrenceScope(occurrence) : 'occurrence'
+    const recurrence = {
+      scope,
+      date: this._vuecal.utils.dateAdapter.fromDate(ud.stringToDate(date)),
+      series: series ? this._vuecal.cleanupEvent(series) : null
+    }
 
-    removeFromStreak = [...new Set(removeFromStreak)] // Dedupe, most performant way.
-    streak -= removeFromStreak.length
-    return streak
+    // Like the other events, a single payload: the deleted event with the recurrence details.
+    this._vuecal.$emit('event-delete', { ...this._vuecal.cleanupEvent(scope === 'series' ? series : occurrence), recurrence })
+
+    if (scope === 'series') {
+      this._vuecal.mutableEvents = this._vuecal.mutableEvents.filter(e => e._eid !== seriesEid)
+      this._vuecal.view.events = this._vuecal.view.events.filter(e => !e._occurrence || e._occurrence.series !== seriesEid)
+    }
+    else {
+      if (series) this._addRecurrenceException(series, date)
+      this._vuecal.view.events = this._vuecal.view.events.filter(e => e._eid !== occurrence._eid)
+    }
   }
 
   /**
@@ -0,0 +1,102 @@
+/**
+ * External Drag Utils.
+ * The drag & drop of the events between Vue Cal and the rest of the page, exposed on the Vue Cal component:
+ * - `VueCal.makeDraggable(el, payload)` makes any element a source of events for all the Vue Cal instances.
+ *   The payload is the event to create: an optional `title`, an optional `duration` in minutes, and any other
+ *   attribute (metadata) kept in the created event. It can be a function returning the payload on drag start.
+ * - the Vue Cal events are dragged out with the same kind of payload under the `VueCal.eventMimeType` MIME type:
+ *   the event as emitted (with its dates in ISO strings) and its `duration`, so your own drop zones can read it
+ *   with `VueCal.getDropPayload(e)`.
+ * The `beforeExternalDrop` option can then reject or transform the payloads dropped into a Vue Cal.
+ *
+ * As the dataTransfer can only be read on drop, the dragged payload is also kept here to show where it would be
+ * dropped while dragging over, and for the pointer drags of the touch devices which have no dataTransfer.
+ */
+
+export const eventMimeType = 'application/x-vuecal-event+json'
+
+// The payload being dragged, and the cursor position from its top in pixels.
+export const currentDrag = { payload: null, grabAt: 0 }
+
+/**
+ * Tells whether a drop payload can become an event: an object with an optional `title` string and
+ * an optional positive `duration` in minutes.
+ *
+ * @param {*} payload the dragged payload.
+ * @return {Boolean} true if valid.
+ */
+export const isValidPayload = payload => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return false
+
+  const { title, duration } = payload
+  return (title === undefined || typeof title === 'string') &&
+    (duration === undefined || duration === null || (duration * 1 > 0 && isFinite(duration)))
+}
+
+/**
+ * Make a DOM element a draggable source of events for Vue Cal (HTML5 drag & drop).
+ *
+ * @param {Object} el the DOM element.
+ * @param {Object|Function} payload the event to create on drop, or a function returning it on drag start.
+ * @return {Function} a function making the element not draggable anymore.
+ */
+export const makeDraggable = (el, payload) => {
+  const onDragStart = e => {
+    const data = typeof payload === 'function' ? payload() : payload
+    if (!isValidPayload(data)) {
+      // eslint-disable-next-line no-console
+      console.warn('Vue Cal: Invalid drag payload, expecting an object with an optional `title` string and `duration` in minutes.', data)
+      return e.preventDefault()
+    }
+
+    e.dataTransfer.effectAllowed = 'copyMove'
+    e.dataTransfer.setData(eventMimeType, JSON.stringify(data))
+    // When dropping the event, subtract the cursor position in the element.
+    e.dataTransfer.setData('cursor-grab-at', e.offsetY) // In pixels.
+    Object.assign(currentDrag, { payload: data, grabAt: e.offsetY })
+  }
+  const onDragEnd = () => Object.assign(currentDrag, { payload: null, grabAt: 0 })
+
+  el.setAttribute('draggable', 'true')
+  el.addEventListener('dragstart', onDragStart)
+  el.addEventListener('dragend', onDragEnd)
+
+  return () => {
+    el.removeAttribute('draggable')
+    el.removeEventListener('dragstart', onDragStart)
+    el.removeEventListener('dragend', onDragEnd)
+  }
+}
+
+/**
+ * Read the event payload dropped into your own drop zone, dragged from a Vue Cal or from an element
+ * made draggable with makeDraggable(). To call on drop, or on drag over but only with the pointer drags.
+ *
+ * @param {Object} e the drop DOM event.
+ * @return {Object|null} the payload, or null if not dragging an event.
+ */
+export const getDropPayload = e => {
+  const data = e.dataTransfer && e.dataTransfer.getData(eventMimeType)
+  if (!data) return currentDrag.payload
+
+  try {
+    const payload = JSON.parse(data)
+    return isValidPayload(payload) ? payload : null
+  }
+  catch (error) {
+    return null
+  }
+}
+
+/**
+ * Tells whether a drag carries an event: from a Vue Cal, from makeDraggable(), or from an element
+ * setting the former `event` data. The dataTransfer types can be read on drag over, not their data.
+ *
+ * @param {Object} e the DOM drag event.
+ * @return {Boolean} true if carrying an event.
+ */
+export const hasEventPayload = e => {
+  if (currentDrag.payload) return true
+  const types = Array.from((e.dataTransfer && e.dataTransfer.types) || [])
+  return types.includes(eventMimeType) || types.includes('event')
+}
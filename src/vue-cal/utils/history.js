@@ -0,0 +1,258 @@
+/**
+ * History Utils.
+ * Records the changes made on the events by the user (create, delete, drop, resize, title edit)
+ * so they can be undone and redone.
+ *
+ * Each user action is a command containing the state of the changed events before and after the action.
+ * Between begin() and commit(), the methods modifying an event call touch() first: the state of this event
+ * is copied before its first change, and copied again at the end of the action. So an action changing
+ * several events (like an occurrence of a recurring event detached from its series) is undone at once.
+ * The states are deep copies, so the nested attributes of the events are kept as they were too.
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+// The maximum number of commands kept in the undo stack.
+const maxHistoryLength = 100
+
+// The vue-cal event attributes that only reflect a user interaction: not part of the event state.
+const transientProps = ['segments', 'deleting', 'resizing', 'dragging', 'draggingStatic', 'focused', 'selected']
+
+const isPlainObject = value => {
+  if (!value || typeof value !== 'object') return false
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * Copy the dates, arrays and plain objects at any depth. The other values (like class instances
+ * or functions) are kept as is.
+ *
+ * @param {*} value the value to copy.
+ * @return {*} the copy.
+ */
+const deepCopy = value => {
+  if (value instanceof Date) return new Date(value)
+  if (Array.isArray(value)) return value.map(deepCopy)
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((copy, key) => {
+      copy[key] = deepCopy(value[key])
+      return copy
+    }, {})
+  }
+  return value
+}
+
+/**
+ * Compare the values copied with deepCopy().
+ *
+ * @param {*} a a value.
+ * @param {*} b the value to compare with.
+ * @return {Boolean} true if equal at any depth.
+ */
+const isEqual = (a, b) => {
+  if (a === b) return true
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime()
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => isEqual(item, b[i]))
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqual(a[key], b[key]))
+  }
+  return false
+}
+
+export default class HistoryUtils {
+  _vuecal = null
+  _undoStack = []
+  _redoStack = []
+  // The state of the events touched by the current action before their first change (or null if
+  // created by the action), by _eid. And the actions nesting depth.
+  _touched = null
+  _depth = 0
+
+  constructor (vuecal) {
+    this._vuecal = vuecal
+  }
+
+  get canUndo () {
+    return !!this._undoStack.length
+  }
+
+  get canRedo () {
+    return !!this._redoStack.length
+  }
+
+  /**
+   * Start recording a user action, before any event is modified.
+   * The actions can be nested (e.g. a drag-create calls createAnEvent): only the outer one is recorded.
+   */
+  begin = () => {
+    if (!this._depth++) this._touched = new Map()
+  }
+
+  /**
+   * Record the state of an event before it is changed, created or deleted by the current action.
+   * Only the first call of an action records the event, so call it before any change.
+   * Touching an occurrence of a recurring event also records its series, which an occurrence change
+   * modifies (exceptions or whole series).
+   *
+   * @param {Object} event the vue-cal event about to change.
+   * @param {Boolean} isNew true if the event exists but was not created yet for the user, like a draft of
+   *                        the event editor: it is recorded as created by the action - optional.
+   */
+  touch = (event, isNew = false) => {
+    if (!this._depth) return
+
+    const eids = [event._eid]
+    if (event._occurrence) eids.push(event._occurrence.series)
+    eids.forEach(eid => {
+      if (this._touched.has(eid)) return
+      const current = !isNew && this._vuecal.mutableEvents.find(e => e._eid === eid)
+      this._touched.set(eid, current ? this._copyEvent(current) : null)
+    })
+  }
+
+  /**
+   * End recording a user action, and add it to the history if it changed any event.
+   *
+   * @param {String} label the name of the action, like the emitted event: `event-create`, `event-drop`, etc.
+   */
+  commit = label => {
+    if (!this._depth || --this._depth) return
+
+    const changes = this._diff(this._touched)
+    this._touched = null
+    if (!changes.length) return
+
+    this._undoStack.push({ label, changes })
+    if (this._undoStack.length > maxHistoryLength) this._undoStack.shift()
+    this._redoStack = []
+    this._emitHistoryChange('record', label)
+  }
+
+  /**
+   * Undo the last recorded action.
+   *
+   * @return {Boolean} true if an action was undone.
+   */
+  undo = () => {
+    // Not while an action is being recorded, e.g. the creation of an event in the event editor.
+    if (this._depth) return false
+
+    const command = this._undoStack.pop()
+    if (!command) return false
+
+    this._apply(command.changes, 'before', 'undo')
+    this._redoStack.push(command)
+    this._emitHistoryChange('undo', command.label)
+    return true
+  }
+
+  /**
+   * Redo the last undone action.
+   *
+   * @return {Boolean} true if an action was redone.
+   */
+  redo = () => {
+    if (this._depth) return false
+
+    const command = this._redoStack.pop()
+    if (!command) return false
+
+    this._apply(command.changes, 'after', 'redo')
+    this._undoStack.push(command)
+    this._emitHistoryChange('redo', command.label)
+    return true
+  }
+
+  /**
+   * Forget all the recorded actions, e.g. when the events are recreated from the `events` prop:
+   * they get new internal ids and the recorded changes would not match them anymore.
+   */
+  clear = () => {
+    const hadHistory = this.canUndo || this.canRedo
+    this._undoStack = []
+    this._redoStack = []
+    if (hadHistory) this._emitHistoryChange('clear', null)
+  }
+
+  /**
+   * Copy an event without its transient attributes.
+   *
+   * @param {Object} event the vue-cal event to copy.
+   * @return {Object} the copy.
+   */
+  _copyEvent = event => {
+    const copy = { ...event }
+    transientProps.forEach(prop => delete copy[prop])
+    return deepCopy(copy)
+  }
+
+  /**
+   * List the touched events which changed during the action.
+   * An event missing in the `before` state was created, an event missing in the `after` state was deleted.
+   *
+   * @param {Map} touched the states of the touched events before the action, by _eid.
+   * @return {Array} the changes, containing { _eid: {String}, before: {Object|null}, after: {Object|null} }.
+   */
+  _diff = touched => {
+    const changes = []
+
+    touched.forEach((before, _eid) => {
+      const current = this._vuecal.mutableEvents.find(e => e._eid === _eid)
+      const after = current ? this._copyEvent(current) : null
+      if (!isEqual(before, after)) changes.push({ _eid, before, after })
+    })
+
+    return changes
+  }
+
+  /**
+   * Restore the events to one state of the changes (before or after), then emit the changes
+   * like the user actions do, so the outside world stays in sync.
+   * A removed event emits `event-delete`, and all the changes emit `event-change` with
+   * `event: null` for a removed event and `originalEvent: null` for a restored one.
+   *
+   * @param {Array} changes the changes of a command.
+   * @param {String} state the state to restore: `before` or `after`.
+   * @param {String} action `undo` or `redo`, given in the emitted events.
+   */
+  _apply = (changes, state, action) => {
+    const vc = this._vuecal
+    const emits = []
+
+    changes.forEach(change => {
+      const target = change[state]
+      const index = vc.mutableEvents.findIndex(e => e._eid === change._eid)
+      const current = index > -1 ? vc.mutableEvents[index] : null
+      const originalEvent = current && vc.cleanupEvent(current)
+
+      if (!target) {
+        if (!current) return
+        vc.mutableEvents.splice(index, 1)
+        emits.push({ event: null, originalEvent })
+        return
+      }
+
+      const event = Object.assign(current || { ...vc.utils.event.eventDefaults }, this._copyEvent(target), {
+        segments: target.daysCount > 1 ? {} : null
+      })
+      if (!current) vc.mutableEvents.push(event)
+      emits.push({ event, originalEvent })
+    })
+
+    // Recreate the view events, the segments of the multiple-day events and the recurring events occurrences.
+    vc.addEventsToView()
+
+    emits.forEach(({ event, originalEvent }) => {
+      if (!event) vc.$emit('event-delete', originalEvent)
+      vc.$emit('event-change', { event: event && vc.cleanupEvent(event), originalEvent, history: action })
+    })
+  }
+
+  _emitHistoryChange = (action, label) => {
+    this._vuecal.$emit('history-change', { action, label, canUndo: this.canUndo, canRedo: this.canRedo })
+  }
+}
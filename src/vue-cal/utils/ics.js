@@ -0,0 +1,406 @@
+/**
+ * iCalendar (.ics) Utils.
+ * Parses VEVENT blocks into vue-cal events and serializes vue-cal events back to iCalendar.
+ * Ref. https://datatracker.ietf.org/doc/html/rfc5545
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+let ud
+
+const weekdaysCodes = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'] // Index + 1 = vue-cal weekday (7 = Sunday).
+const frequencies = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }
+
+export default class IcsUtils {
+  _vuecal = null
+
+  constructor (vuecal, dateUtils) {
+    this._vuecal = vuecal
+    ud = dateUtils
+  }
+
+  // PARSING.
+  // ===================================================================
+  /**
+   * Parse an iCalendar string and return the events it contains, in the shape accepted by
+   * the `events` prop.
+   *
+   * @param {String} ics the iCalendar string (content of a .ics file).
+   * @return {Array} the array of vue-cal events.
+   */
+  parse (ics) {
+    const events = []
+    let vevent = null
+
+    this._unfoldLines(ics).forEach(line => {
+      const property = this._parseLine(line)
+      if (!property) return
+
+      if (property.name === 'BEGIN' && property.value === 'VEVENT') vevent = {}
+      else if (property.name === 'END' && property.value === 'VEVENT') {
+        const event = vevent && this._veventToEvent(vevent)
+        if (event) events.push(event)
+        vevent = null
+      }
+      // Only keep the first occurrence of a property, except for EXDATE that can be repeated.
+      else if (vevent && property.name === 'EXDATE') (vevent.EXDATE = vevent.EXDATE || []).push(property)
+      else if (vevent && !vevent[property.name]) vevent[property.name] = property
+    })
+
+    return events
+  }
+
+  /**
+   * Long lines are folded into multiple lines starting with a space or a tab: unfold them.
+   *
+   * @param {String} ics the iCalendar string.
+   * @return {Array} the array of unfolded lines.
+   */
+  _unfoldLines (ics) {
+    return ics.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n')
+  }
+
+  /**
+   * Parse a content line like `DTSTART;VALUE=DATE:20190101`.
+   *
+   * @param {String} line the unfolded line.
+   * @return {Object | null} containing { name: {String}, params: {Object}, value: {String} }.
+   */
+  _parseLine (line) {
+    // The value starts after the first colon that is not in a quoted parameter value.
+    const [, nameAndParams, value] = line.match(/^((?:[^:"]|"[^"]*")+):(.*)$/) || []
+    if (!nameAndParams) return null
+
+    const [name, ...params] = nameAndParams.split(';')
+
+    return {
+      name: name.toUpperCase(),
+      params: params.reduce((obj, param) => {
+        const [key, val = ''] = param.split('=')
+        obj[key.toUpperCase()] = val.replace(/^"|"$/g, '')
+        return obj
+      }, {}),
+      value
+    }
+  }
+
+  /**
+   * Convert the collected properties of a VEVENT into a vue-cal event.
+   *
+   * @param {Object} vevent the VEVENT properties indexed by name.
+   * @return {Object | null} the vue-cal event or null if there is no valid start.
+   */
+  _veventToEvent (vevent) {
+    if (!vevent.DTSTART) return null
+
+    const start = this._parseDate(vevent.DTSTART)
+    if (!start) return null
+
+    const { allDay, timezone } = start
+    let end = vevent.DTEND && this._parseDate(vevent.DTEND)
+    if (!end && vevent.DURATION) {
+      end = { date: this._addDuration(start.date, vevent.DURATION.value), allDay, timezone }
+    }
+    if (!end) end = { date: allDay ? ud.addDays(start.date, 1) : new Date(start.date), allDay, timezone }
+    // The event has a single time zone: the one of its start.
+    if (end.timezone !== timezone) end.date = ud.convertTimezone(end.date, end.timezone, timezone)
+
+    // The end date of all-day events is exclusive: the event ends the day before.
+    if (allDay) end.date = ud.subtractDays(end.date, 1)
+
+    const event = {
+      start: allDay ? ud.formatDateLite(start.date) : start.date,
+      end: allDay ? ud.formatDateLite(end.date) : end.date,
+      title: vevent.SUMMARY ? this._unescapeText(vevent.SUMMARY.value) : '',
+      content: vevent.DESCRIPTION ? this._unescapeText(vevent.DESCRIPTION.value).replace(/\n/g, '<br>') : '',
+      ...(allDay ? { allDay: true } : {}),
+      ...(timezone ? { timezone } : {})
+    }
+
+    if (vevent.CATEGORIES) {
+      // Each category becomes a CSS class.
+      event.class = this._unescapeText(vevent.CATEGORIES.value).split(',')
+        .map(category => category.trim().toLowerCase().replace(/\s+/g, '-'))
+        .filter(category => category)
+        .join(' ')
+    }
+    if (vevent.UID) event.uid = vevent.UID.value
+
+    const repeat = vevent.RRULE && this._parseRrule(vevent.RRULE.value)
+    if (repeat) {
+      if (vevent.EXDATE) {
+        repeat.exceptions = vevent.EXDATE.reduce((dates, exdate) => {
+          exdate.value.split(',').forEach(value => {
+            const date = this._parseDate({ ...exdate, value })
+            // The exceptions are the dates of the occurrences in the calendar time zone.
+            if (date) dates.push(ud.formatDateLite(ud.convertTimezone(date.date, date.timezone, this._vuecal.timezone)))
+          })
+          return dates
+        }, [])
+      }
+      event.repeat = repeat
+    }
+
+    return event
+  }
+
+  /**
+   * Parse an iCalendar date or date-time property value into a Date.
+   * The local date & time of the returned Date is the wall-clock time in the returned time zone:
+   * `UTC` for UTC date-times (ending with `Z`), the `TZID` parameter if any, or empty for floating
+   * date-times (in the calendar time zone).
+   *
+   * @param {Object} property the parsed property, e.g. DTSTART.
+   * @return {Object | null} containing { date: {Date}, allDay: {Boolean}, timezone: {String} }.
+   */
+  _parseDate ({ params, value }) {
+    const [, y, m, d, time, h, min, s = 0, utc] = value.match(/^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})?(Z)?)?$/) || []
+    if (!y) return null
+
+    const allDay = params.VALUE === 'DATE' || !time
+    if (allDay) return { date: new Date(y, m - 1, d), allDay, timezone: '' }
+
+    return { date: new Date(y, m - 1, d, h, min, s), allDay, timezone: utc ? 'UTC' : (params.TZID || '') }
+  }
+
+  /**
+   * Add an iCalendar duration (e.g. `P1DT2H30M` or `P2W`) to a date.
+   *
+   * @param {Date} date the date to add the duration to.
+   * @param {String} duration the iCalendar duration.
+   * @return {Date} a new Date.
+   */
+  _addDuration (date, duration) {
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = duration.match(
+      /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+    ) || []
+    const modifier = sign === '-' ? -1 : 1
+    const newDate = ud.addDays(date, modifier * (weeks * 7 + days * 1))
+    newDate.setSeconds(newDate.getSeconds() + modifier * (hours * 3600 + minutes * 60 + seconds * 1))
+
+    return newDate
+  }
+
+  /**
+   * Convert an RRULE value into a vue-cal `repeat` object.
+   *
+   * @param {String} rrule the RRULE value, e.g. `FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10`.
+   * @return {Object | null} the repeat object or null if the frequency is not supported.
+   */
+  _parseRrule (rrule) {
+    const rule = rrule.split(';').reduce((obj, part) => {
+      const [key, value = ''] = part.split('=')
+      obj[key.toUpperCase()] = value.toUpperCase()
+      return obj
+    }, {})
+
+    const every = frequencies[rule.FREQ]
+    if (!every) return null
+
+    const repeat = { every }
+    if (rule.INTERVAL > 1) repeat.interval = parseInt(rule.INTERVAL)
+    if (rule.COUNT) repeat.count = parseInt(rule.COUNT)
+    if (rule.UNTIL) {
+      const until = this._parseDate({ params: {}, value: rule.UNTIL })
+      if (until) repeat.until = ud.formatDateLite(ud.convertTimezone(until.date, until.timezone, this._vuecal.timezone))
+    }
+
+    if (rule.BYDAY) {
+      const days = rule.BYDAY.split(',').map(day => day.match(/^([+-]?\d+)?([A-Z]{2})$/) || [])
+      // E.g. `BYDAY=2TU`: every 2nd Tuesday of the month. The weekday is the one of the event start.
+      if (every === 'month' && days[0][1]) repeat.nthWeekday = parseInt(days[0][1])
+      else if (every === 'week') {
+        repeat.weekdays = days.map(([, , day]) => weekdaysCodes.indexOf(day) + 1).filter(day => day)
+      }
+    }
+
+    return repeat
+  }
+
+  /**
+   * Unescape an iCalendar text value.
+   *
+   * @param {String} text the iCalendar text value.
+   * @return {String} the unescaped string.
+   */
+  _unescapeText (text) {
+    return text.replace(/\\(n|N|,|;|\\)/g, (m, char) => char.toLowerCase() === 'n' ? '\n' : char)
+  }
+  // ===================================================================
+
+  // SERIALIZING.
+  // ===================================================================
+  /**
+   * Serialize the vue-cal events (from the mutableEvents array) into an iCalendar string.
+   * The recurring events are exported as a single event with an RRULE.
+   *
+   * @param {Object} range Optional: an object containing { start: {String | Date}, end: {String | Date} },
+   *                       to only export the events in this date range.
+   * @return {String} the iCalendar string.
+   */
+  export (range = null) {
+    const ue = this._vuecal.utils.event
+    let events = this._vuecal.mutableEvents
+
+    if (range) {
+      const start = ud.stringToDate(range.start)
+      const end = ud.stringToDate(range.end)
+      events = events.filter(e => {
+        return e.repeat ? ue.createEventOccurrences(e, start, end).length : ue.eventInRange(e, start, end)
+      })
+    }
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//vue-cal//EN',
+      'CALSCALE:GREGORIAN',
+      ...events.reduce((eventsLines, e) => eventsLines.concat(this._eventToVevent(e)), []),
+      'END:VCALENDAR'
+    ]
+
+    return lines.map(this._foldLine).join('\r\n') + '\r\n'
+  }
+
+  /**
+   * Convert a vue-cal event into the lines of a VEVENT.
+   *
+   * @param {Object} e the vue-cal event.
+   * @return {Array} the VEVENT lines, not folded.
+   */
+  _eventToVevent (e) {
+    const allDay = e.allDay || !this._vuecal.time
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${e.uid || `${e._eid}@vue-cal`}`,
+      `DTSTAMP:${this._formatDateTime(new Date(), '')}`
+    ]
+
+    if (allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${this._formatDate(e.start)}`)
+      // The end date of all-day events is exclusive.
+      lines.push(`DTEND;VALUE=DATE:${this._formatDate(ud.addDays(e.end, 1))}`)
+    }
+    else {
+      // From the minutes in the day, which keep the second pass of a repeated hour.
+      const { timezone } = this._vuecal
+      const start = ud.convertDayMinutes(e.start, e.startTimeMinutes, timezone, '')
+      const end = ud.convertDayMinutes(e.end, e.endTimeMinutes, timezone, '')
+      // Internally the events ending at midnight end at 23:59:59, export them at midnight.
+      if (end.getSeconds() === 59) end.setSeconds(60)
+
+      lines.push(`DTSTART:${this._formatDateTime(start, '')}`)
+      lines.push(`DTEND:${this._formatDateTime(end, '')}`)
+    }
+
+    if (e.title) lines.push(`SUMMARY:${this._escapeText(this._htmlToText(e.title))}`)
+    if (e.content) lines.push(`DESCRIPTION:${this._escapeText(this._htmlToText(e.content))}`)
+    if (e.class) lines.push(`CATEGORIES:${e.class.trim().split(/\s+/).map(this._escapeText).join(',')}`)
+    if (e.repeat) lines.push(...this._repeatToRrule(e))
+
+    lines.push('END:VEVENT')
+
+    return lines
+  }
+
+  /**
+   * Convert the `repeat` object of a vue-cal event into RRULE and EXDATE lines.
+   *
+   * @param {Object} e the recurring vue-cal event.
+   * @return {Array} the RRULE line, and EXDATE line if any.
+   */
+  _repeatToRrule (e) {
+    const { every, interval, weekdays, nthWeekday, count, until, exceptions } = e.repeat
+    const allDay = e.allDay || !this._vuecal.time
+    const lines = []
+    let frequency = every
+    let step = interval
+
+    if (parseInt(every) > 0) [frequency, step] = ['day', parseInt(every)]
+    if (!frequency && weekdays && weekdays.length) frequency = 'week'
+    frequency = Object.keys(frequencies).find(key => frequencies[key] === frequency)
+    if (!frequency) return lines
+
+    const rule = [`FREQ=${frequency}`]
+    if (step > 1) rule.push(`INTERVAL=${step}`)
+    if (frequency === 'WEEKLY' && weekdays && weekdays.length) {
+      rule.push(`BYDAY=${weekdays.map(day => weekdaysCodes[day - 1]).join(',')}`)
+    }
+    if (frequency === 'MONTHLY' && nthWeekday) {
+      rule.push(`BYDAY=${nthWeekday}${weekdaysCodes[(e.start.getDay() || 7) - 1]}`)
+    }
+    if (count) rule.push(`COUNT=${count}`)
+    else if (until) {
+      // UNTIL must have the same value type as DTSTART: a date or a UTC date-time.
+      const untilDate = new Date(ud.stringToDate(until))
+      untilDate.setHours(23, 59, 59, 0)
+      rule.push(`UNTIL=${allDay ? this._formatDate(untilDate) : this._formatDateTime(untilDate)}`)
+    }
+    lines.push(`RRULE:${rule.join(';')}`)
+
+    if (exceptions && exceptions.length) {
+      lines.push(allDay
+        ? `EXDATE;VALUE=DATE:${exceptions.map(date => this._formatDate(ud.stringToDate(date))).join(',')}`
+        : `EXDATE:${exceptions.map(date => {
+          const exdate = new Date(ud.stringToDate(date))
+          exdate.setHours(e.start.getHours(), e.start.getMinutes(), 0, 0)
+          return this._formatDateTime(exdate)
+        }).join(',')}`)
+    }
+
+    return lines
+  }
+
+  // Formats a Date to `YYYYMMDD`.
+  _formatDate (date) {
+    return ud.formatDateLite(date).replace(/-/g, '')
+  }
+
+  // Formats a Date which local time is in the given time zone (default: the calendar one) to a UTC
+  // date-time: `YYYYMMDDTHHmmssZ`.
+  _formatDateTime (date, timezone = this._vuecal.timezone) {
+    return ud.convertTimezone(date, timezone, '').toISOString().replace(/[-:]|\.\d{3}/g, '')
+  }
+
+  /**
+   * Convert the HTML of an event title or content into plain text.
+   *
+   * @param {String} html the HTML string.
+   * @return {String} the plain text.
+   */
+  _htmlToText (html) {
+    return html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&').trim()
+  }
+
+  // Escape an iCalendar text value.
+  _escapeText (text) {
+    return text.replace(/([\\;,])/g, '\\$1').replace(/\n/g, '\\n')
+  }
+
+  // Fold the lines longer than 75 octets as per RFC 5545: on the UTF-8 length, and never inside a character.
+  _foldLine (line) {
+    const chunks = []
+    let chunk = ''
+    let octets = 0
+    // Iterating the string gives whole characters, not the halves of the surrogate pairs.
+    for (const char of line) {
+      const code = char.codePointAt(0)
+      const charOctets = code < 0x80 ? 1 : (code < 0x800 ? 2 : (code < 0x10000 ? 3 : 4))
+      if (octets + charOctets > 75) {
+        chunks.push(chunk)
+        // The continuation lines start with a space, counted in their 75 octets.
+        chunk = ' '
+        octets = 1
+      }
+      chunk += char
+      octets += charOctets
+    }
+    chunks.push(chunk)
+
+    return chunks.join('\r\n')
+  }
+  // ===================================================================
+}
@@ -0,0 +1,157 @@
+/**
+ * Intl Locale Utils.
+ * Derives the localized texts of vue-cal from the browser Intl API for any BCP 47 language tag
+ * (e.g. `fr`, `pt-PT`, `sw`), so the locales which have no JSON translation file are still supported:
+ * the names of the days of the week and of the months, the date format, the am/pm texts,
+ * the 12 or 24-hour clock and the ordinal rules.
+ * The other texts (e.g. `noEvent`) still come from the JSON translation files.
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+// The English ordinal suffixes by Intl.PluralRules ordinal category: 1st, 2nd, 3rd, 4th.
+const englishOrdinals = { one: 'st', two: 'nd', few: 'rd', other: 'th' }
+
+// A Monday, with a day of the month bigger than 12 to tell the day from the month in the formatted dates.
+const sampleDate = new Date(2023, 0, 16)
+
+export default class IntlUtils {
+  _vuecal = null
+
+  constructor (vuecal) {
+    this._vuecal = vuecal
+  }
+
+  get isSupported () {
+    return typeof Intl !== 'undefined' && !!Intl.DateTimeFormat && !!Intl.DateTimeFormat.prototype.formatToParts
+  }
+
+  /**
+   * Get the texts of a locale from the Intl API.
+   *
+   * @param {String} locale a BCP 47 language tag, like `fr` or `pt-PT`.
+   * @param {Boolean} hasTranslation false if the locale has no JSON translation file: then also derive
+   *                                 the names of the views and the today button text from Intl.
+   * @return {Object|null} the texts, or null if the Intl API does not support the locale.
+   */
+  getTexts = (locale, hasTranslation = true) => {
+    if (!this.isSupported) return null
+
+    let resolvedLocale
+    try {
+      resolvedLocale = new Intl.DateTimeFormat(locale).resolvedOptions().locale
+    }
+    catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn(`Vue Cal: the locale \`${locale}\` is not a valid BCP 47 language tag.`)
+      return null
+    }
+    // The browser falls back to its default language if it does not know the locale.
+    const language = locale.split('-')[0].toLowerCase()
+    if (resolvedLocale.split('-')[0].toLowerCase() !== language) return null
+
+    // Always the Gregorian calendar: the other calendar systems are handled by the calendarSystem option.
+    const format = options => new Intl.DateTimeFormat(locale, { calendar: 'gregory', ...options })
+    const weekdayFormat = format({ weekday: 'long' })
+    const weekdayShortFormat = format({ weekday: 'short' })
+    const monthFormat = format({ month: 'long' })
+    const monthInDateFormat = format({ day: 'numeric', month: 'long' })
+
+    const weekDays = []
+    const weekDaysShort = []
+    for (let i = 0; i < 7; i++) {
+      const date = new Date(2023, 0, 16 + i)
+      weekDays.push(this._capitalize(weekdayFormat.format(date), locale))
+      weekDaysShort.push(this._capitalize(weekdayShortFormat.format(date), locale))
+    }
+
+    const months = []
+    const monthsGenitive = []
+    for (let i = 0; i < 12; i++) {
+      const date = new Date(2023, i, 16)
+      months.push(this._capitalize(monthFormat.format(date), locale))
+      // Some languages use another form of the month name in a date (e.g. the genitive in Greek or Russian).
+      const monthPart = monthInDateFormat.formatToParts(date).find(part => part.type === 'month')
+      monthsGenitive.push(monthPart ? monthPart.value : months[i])
+    }
+    const hasGenitive = monthsGenitive.some((month, i) => month.toLowerCase() !== months[i].toLowerCase())
+
+    const { hourCycle, hour12 } = format({ hour: 'numeric' }).resolvedOptions()
+
+    return {
+      weekDays,
+      weekDaysShort,
+      months,
+      ...(hasGenitive ? { monthsGenitive } : {}),
+      ...(hasTranslation ? {} : this._getFieldNames(locale)),
+      dateFormat: this._getDateFormat(format, hasGenitive),
+      ...this._getDayPeriods(format),
+      twelveHour: hourCycle ? ['h11', 'h12'].includes(hourCycle) : !!hour12,
+      // The ordinal suffixes are only known in English, the other languages have none.
+      ordinals: language === 'en' ? englishOrdinals : {},
+      locale
+    }
+  }
+
+  /**
+   * Convert the full date format of the locale into a vue-cal date format, like `dddd MMMM D, YYYY`.
+   *
+   * @param {Function} format the function creating the Intl formatters of the locale.
+   * @param {Boolean} hasGenitive whether the month names are different in a date.
+   * @return {String} the date format.
+   */
+  _getDateFormat = (format, hasGenitive) => {
+    const tokens = { weekday: 'dddd', month: hasGenitive ? 'MMMMG' : 'MMMM', day: 'D', year: 'YYYY' }
+    const parts = format({ weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }).formatToParts(sampleDate)
+
+    return parts.map(({ type, value }) => tokens[type] || (type === 'literal' ? value : '')).join('')
+  }
+
+  /**
+   * The am/pm texts of the locale, in lowercase like the default ones.
+   *
+   * @param {Function} format the function creating the Intl formatters of the locale.
+   * @return {Object} containing { am: {String}, pm: {String} }, or empty if not found.
+   */
+  _getDayPeriods = format => {
+    const formatter = format({ hour: 'numeric', hour12: true })
+    const getDayPeriod = hours => {
+      const part = formatter.formatToParts(new Date(2023, 0, 16, hours)).find(part => part.type === 'dayPeriod')
+      return part && part.value.toLowerCase()
+    }
+    const [am, pm] = [getDayPeriod(9), getDayPeriod(15)]
+
+    return am && pm ? { am, pm } : {}
+  }
+
+  /**
+   * The names of the views and the today button text, for the locales without translation file.
+   * Only in the browsers supporting `Intl.DisplayNames` and `Intl.RelativeTimeFormat`.
+   *
+   * @param {String} locale the BCP 47 language tag.
+   * @return {Object} the texts found.
+   */
+  _getFieldNames = locale => {
+    const texts = {}
+    try {
+      const names = new Intl.DisplayNames(locale, { type: 'dateTimeField' })
+      texts.year = texts.years = this._capitalize(names.of('year'), locale)
+      texts.month = this._capitalize(names.of('month'), locale)
+      texts.week = this._capitalize(names.of('weekOfYear'), locale)
+      texts.day = this._capitalize(names.of('day'), locale)
+    }
+    catch (error) {}
+
+    try {
+      const relativeTime = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' })
+      texts.today = this._capitalize(relativeTime.format(0, 'day'), locale)
+    }
+    catch (error) {}
+
+    return texts
+  }
+
+  _capitalize = (text, locale) => text.charAt(0).toLocaleUpperCase(locale) + text.slice(1)
+}
@@ -0,0 +1,275 @@
+/**
+ * Selection Utils.
+ * With the `eventsSelection` option, several events can be selected to move, delete or edit them together:
+ * - Ctrl (or Cmd) + click on an event adds it to the selection or removes it,
+ * - Shift + click on an event selects the events of the view from the last clicked one to this one,
+ *   in chronological order,
+ * - Ctrl or Shift + drag from a cell draws a lasso, adding the events it touches to the selection,
+ * - a click on an unselected event or in a cell, or the Escape key, clears the selection.
+ * Dropping a selected event, or moving it with the keyboard, moves all the selected events by the same
+ * days and minutes, and the delete key deletes them all. Each changed event emits its own events
+ * (`event-drop`, `event-change`, `event-delete`...), and the whole change is a single history action.
+ *
+ * The selection is kept in `domEvents.selectEvents` by _eid, so the occurrences of the recurring events
+ * stay selected from one view to another. The selected events of the view are flagged with `selected`.
+ *
+ * Waiting for VS Code to support JavaScript private fields.
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes/Class_fields
+ * Meantime keep `_` for private.
+ */
+
+export default class SelectionUtils {
+  _vuecal = null
+
+  constructor (vuecal) {
+    this._vuecal = vuecal
+  }
+
+  get isEnabled () {
+    return this._vuecal.eventsSelection
+  }
+
+  /**
+   * Tells whether an event is selected.
+   *
+   * @param {String} eid the _eid of the event.
+   * @return {Boolean} true if selected.
+   */
+  isSelected = eid => {
+    return this._vuecal.domEvents.selectEvents.eids.includes(eid)
+  }
+
+  /**
+   * The selected events that still exist, in the order they were selected.
+   *
+   * @return {Array} the vue-cal events.
+   */
+  getSelectedEvents = () => {
+    return this._vuecal.domEvents.selectEvents.eids.map(this._findEvent).filter(event => event)
+  }
+
+  /**
+   * Find an event from its _eid in the view first, for the occurrences of the recurring events,
+   * then in all the events.
+   *
+   * @param {String} eid the _eid of the event.
+   * @return {Object|undefined} the vue-cal event.
+   */
+  _findEvent = eid => {
+    const { view, mutableEvents } = this._vuecal
+    return view.events.find(e => e._eid === eid) ||
+      (view.outOfScopeEvents || []).find(e => e._eid === eid) ||
+      mutableEvents.find(e => e._eid === eid)
+  }
+
+  /**
+   * Replace the selection, and emit `events-selection-change` if it changed.
+   *
+   * @param {Array} eids the _eid of the events to select.
+   * @param {Boolean} emit false when the selection comes from the `selectedEvents` prop.
+   */
+  setSelection = (eids, emit = true) => {
+    const { selectEvents } = this._vuecal.domEvents
+    eids = [...new Set(eids)]
+    const changed = eids.length !== selectEvents.eids.length || eids.some(eid => !this.isSelected(eid))
+
+    selectEvents.eids = eids
+    if (!changed) return
+
+    const { view } = this._vuecal
+    this.markSelected([...view.events, ...(view.outOfScopeEvents || [])])
+    if (emit) {
+      const events = this.getSelectedEvents().map(this._vuecal.cleanupEvent)
+      this._vuecal.$emit('events-selection-change', events)
+      this._vuecal.$emit('update:selectedEvents', events)
+    }
+  }
+
+  /**
+   * Flag the selected events with `selected` for the CSS class, e.g. when they are added to the view.
+   *
+   * @param {Array} events the vue-cal events.
+   */
+  markSelected = events => {
+    events.forEach(event => { event.selected = this.isSelected(event._eid) })
+  }
+
+  /**
+   * Update the selection on click on an event, according to the pressed modifier keys.
+   *
+   * @param {Object} e the native DOM event object.
+   * @param {Object} event the vue-cal event.
+   */
+  onEventClick = (e, event) => {
+    const { selectEvents } = this._vuecal.domEvents
+
+    if (e.ctrlKey || e.metaKey) {
+      selectEvents.anchor = event._eid
+      const { eids } = selectEvents
+      this.setSelection(this.isSelected(event._eid) ? eids.filter(eid => eid !== event._eid) : [...eids, event._eid])
+    }
+    else if (e.shiftKey) this._selectUntil(event)
+    // Keep the selection when clicking a selected event, to drag them all.
+    else {
+      selectEvents.anchor = event._eid
+      if (!this.isSelected(event._eid)) this.clear()
+    }
+  }
+
+  /**
+   * Add the events of the view from the last clicked event to the given one to the selection,
+   * in chronological order.
+   *
+   * @param {Object} event the vue-cal event.
+   */
+  _selectUntil = event => {
+    const { selectEvents } = this._vuecal.domEvents
+    const anchor = this._findEvent(selectEvents.anchor) || event
+    const [from, to] = [anchor.start, event.start].sort((a, b) => a - b)
+    const eids = this._vuecal.view.events
+      .filter(e => !e.background && e.start >= from && e.start <= to)
+      .map(e => e._eid)
+
+    this.setSelection([...selectEvents.eids, ...eids, event._eid])
+  }
+
+  /**
+   * Unselect all the events.
+   */
+  clear = () => {
+    this.setSelection([])
+  }
+
+  /**
+   * Unselect an event, e.g. when it is deleted.
+   *
+   * @param {Object} event the vue-cal event.
+   */
+  unselect = event => {
+    if (this.isSelected(event._eid)) this.setSelection(this._vuecal.domEvents.selectEvents.eids.filter(eid => eid !== event._eid))
+  }
+
+  /**
+   * Start drawing a lasso from a cell, the global mousemove and mouseup handlers in index.vue do the rest.
+   *
+   * @param {Object} e the native DOM event object.
+   */
+  startLasso = e => {
+    const { clientX: x, clientY: y } = e
+    this._vuecal.domEvents.selectEvents.lasso = { startX: x, startY: y, x, y }
+  }
+
+  /**
+   * On mousemove while drawing the lasso.
+   *
+   * @param {Object} e the native DOM event object.
+   */
+  moveLasso = e => {
+    Object.assign(this._vuecal.domEvents.selectEvents.lasso, { x: e.clientX, y: e.clientY })
+  }
+
+  /**
+   * The rectangle of the lasso in the viewport, in pixels.
+   *
+   * @return {Object} containing { left, top, width, height }.
+   */
+  getLassoRect = () => {
+    const { startX, startY, x, y } = this._vuecal.domEvents.selectEvents.lasso
+    return { left: Math.min(startX, x), top: Math.min(startY, y), width: Math.abs(x - startX), height: Math.abs(y - startY) }
+  }
+
+  /**
+   * On mouseup, add the events touched by the lasso to the selection.
+   * The events are found from their DOM elements, as they can be anywhere in the views.
+   */
+  endLasso = () => {
+    const { selectEvents } = this._vuecal.domEvents
+    const { left, top, width, height } = this.getLassoRect()
+    selectEvents.lasso = null
+    if (!width && !height) return
+
+    const eids = [...this._vuecal.$el.querySelectorAll('.vuecal__event[data-eid]:not(.vuecal__event--background)')]
+      .filter(el => {
+        const rect = el.getBoundingClientRect()
+        return rect.left < left + width && rect.right > left && rect.top < top + height && rect.bottom > top
+      })
+      .map(el => el.dataset.eid)
+
+    this.setSelection([...selectEvents.eids, ...eids])
+  }
+
+  /**
+   * Move or resize all the selected events, like from the keyboard (see shiftAnEvent() in utils/event.js).
+   * The events which are not draggable (or resizable) stay in place.
+   *
+   * @param {Object} shift containing { days: {Number}, minutes: {Number}, resize: {Boolean} }.
+   * @param {String} exceptEid the _eid of an event already moved, e.g. the dropped event.
+   */
+  shiftSelected = (shift, exceptEid = null) => {
+    const { history, event: ue } = this._vuecal.utils
+    history.begin()
+
+    this._vuecal.domEvents.selectEvents.eids.forEach(eid => {
+      // Find each event at its turn: changing a recurring event recreates its occurrences.
+      const event = eid !== exceptEid && this._findEvent(eid)
+      if (!event || !(shift.resize ? event.resizable : event.draggable)) return
+
+      ue.shiftAnEvent(event, { ...shift, minutes: event.allDay ? 0 : shift.minutes })
+    })
+
+    history.commit(shift.resize ? 'event-duration-change' : 'event-drop')
+  }
+
+  /**
+   * After dropping a selected event, move the other selected events by the same days and minutes.
+   *
+   * @param {String} eid the _eid of the dropped event.
+   * @param {Date} oldDate the start of the dropped event before the drop.
+   * @param {Date} newDate the start of the dropped event after the drop.
+   */
+  followDroppedEvent = (eid, oldDate, newDate) => {
+    if (!this.isEnabled || !this.isSelected(eid)) return
+
+    const ud = this._vuecal.utils.date
+    const days = Math.round((new Date(newDate).setHours(0, 0, 0, 0) - new Date(oldDate).setHours(0, 0, 0, 0)) / (24 * 3600 * 1000))
+    const minutes = ud.dateToMinutes(newDate) - ud.dateToMinutes(oldDate)
+    if (days || minutes) this.shiftSelected({ days, minutes }, eid)
+  }
+
+  /**
+   * Delete all the deletable selected events.
+   */
+  deleteSelected = () => {
+    const { history, event: ue } = this._vuecal.utils
+    const { selectEvents } = this._vuecal.domEvents
+    const eids = this.getSelectedEvents().filter(event => event.deletable).map(event => event._eid)
+    history.begin()
+
+    this.setSelection(selectEvents.eids.filter(eid => !eids.includes(eid)))
+    eids.forEach(eid => {
+      // Deleting a whole recurring event also deletes its other selected occurrences.
+      const event = this._findEvent(eid)
+      if (event) ue.deleteAnEvent(event)
+    })
+
+    history.commit('event-delete')
+  }
+
+  /**
+   * Apply the same changes to all the selected events, e.g. `{ class: 'leisure' }` to recolor them.
+   * Each event emits `event-change` (see editAnEvent() in utils/event.js).
+   *
+   * @param {Object} changes the new attributes of the events.
+   */
+  editSelected = changes => {
+    const { history, event: ue } = this._vuecal.utils
+    history.begin()
+
+    this._vuecal.domEvents.selectEvents.eids.forEach(eid => {
+      const event = this._findEvent(eid)
+      if (event) ue.editAnEvent(event, { start: event.start, end: event.end, ...changes })
+    })
+
+    history.commit('event-change')
+  }
+}